@@ -1,348 +1,863 @@
-import { GoogleGenAI } from "@google/genai";
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import axios from 'axios';
+import { parseArgs } from 'util';
+import { Checkpoint, checkpointPath } from './lib/checkpoint.js';
+import { parseModelJson } from './lib/json.js';
+import { Scheduler, parseRpm } from './lib/scheduler.js';
+import { MODEL_RPM, loadChains, runChain } from './lib/providers/index.js';
+import { loadSource, sourceName, parseRange } from './lib/source.js';
+import { loadGlossary, glossaryPath, termsIn, glossaryInstruction, checkGlossary } from './lib/glossary.js';
+import { getLanguage, languagePrefix, DEFAULT_SOURCE_LANG, DEFAULT_TARGET_LANG } from './lib/languages.js';
+import { STATUS, reportPath, buildRunReport, writeRunReport, printRunReport } from './lib/report.js';
+import { loadThresholds, checkTranslation } from './lib/quality.js';
+import { splitParagraphs, textParagraphs, joinParagraphs, batchParagraphs } from './lib/paragraphs.js';
+import { parseExportFormats, bilingualChapters, writeBilingualExports } from './lib/bilingual.js';
+import { Progress } from './lib/progress.js';
+import { DEFAULT_PRICES, loadPrices, parseBudget, attemptUsage } from './lib/usage.js';
+import { splitChapterTitle, formatChapterTitle, parseTitleReply } from './lib/titles.js';
+import { TranslationMemory, memoryPath, shortHash, termsVersion } from './lib/memory.js';
+import { profileName, loadProfile, renderPrompt } from './lib/prompts.js';
+import { NARRATOR, parseDialogue, speakerNames, normaliseSpeakers, dialogueTranscript } from './lib/dialogue.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-const ai = new GoogleGenAI({});
-const MODEL_NAME = "gemini-2.5-flash-lite";
-const TITLE_MODEL = "gemini-2.0-flash";
-const FALLBACK_MODEL = "google translate";
-const TRANSLATION_START_DELAY = 4_000;
-
-const safetySettings = [
-  {
-    category: "HARM_CATEGORY_HARASSMENT",
-    threshold: "BLOCK_NONE",
-  },
-  {
-    category: "HARM_CATEGORY_HATE_SPEECH",
-    threshold: "BLOCK_NONE",
-  },
-  {
-    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-    threshold: "BLOCK_NONE",
-  },
-  {
-    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-    threshold: "BLOCK_NONE",
-  },
-  {
-    category: "HARM_CATEGORY_CIVIC_INTEGRITY",
-    threshold: "BLOCK_NONE",
-  }
-];
+let sourceLang = getLanguage(DEFAULT_SOURCE_LANG);
+let targetLang = getLanguage(DEFAULT_TARGET_LANG);
 
-async function fetchJson(url) {
-  try {
-    const response = await axios.get(url);
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching JSON:', error);
-    throw new Error(`Failed to fetch JSON from ${url}`);
-  }
+let profile = null;
+
+// Renders one of the prompt profile's templates for the current language pair
+function prompt(kind, values = {}) {
+  return renderPrompt(profile.prompts[kind], { source: sourceLang.name, target: targetLang.name, ...values });
+}
+
+function narrationRule() {
+  return narration
+    ? `Put the narration between the spoken lines, in order, as entries whose speaker is "${NARRATOR}".`
+    : 'Leave out narration, descriptions and unspoken thoughts.';
 }
 
-function parseRange(rangeStr, maxItems) {
-  const [startStr, endStr] = rangeStr.split('-');
-  let start = parseInt(startStr);
-  let end = endStr ? parseInt(endStr) : start;
+let scheduler = new Scheduler({ rpm: MODEL_RPM });
+let chains;
+let thresholds = null;
+let aligned = false;
+let bilingual = false;
+let prices = DEFAULT_PRICES;
+let titleBatches = [];
+let dialogue = false;
+let narration = false;
+let memory = null;
+let fuzzyThreshold = null;
+
+const PARAGRAPH_BATCH_CHARS = 3000;
 
-  if (isNaN(start)) start = 1;
-  if (isNaN(end)) end = maxItems;
-  if (start < 1) start = 1;
-  if (end > maxItems) end = maxItems;
-  if (start > end) [start, end] = [end, start];
+const ALIGNED_INSTRUCTION =
+  "\n\nThe input is a JSON array of numbered paragraphs: [{\"id\": 1, \"text\": \"...\"}]. Translate each paragraph on its own and reply with a JSON array holding exactly the same ids: [{\"id\": 1, \"text\": \"...\"}]. Never merge, split, drop or reorder paragraphs, and put any footnote at the end of the paragraph it belongs to.";
 
-  return { start, end };
+const TITLE_BATCH_SIZE = 50;
+
+// What a translation memory entry must match besides its source text
+function memoryVersion(instruction, text, glossary) {
+  return { prompt: shortHash(instruction), terms: termsVersion(termsIn(text, glossary)) };
 }
 
-async function translateTitlesBatch(titles) {
+// Titles go out as [{ id, title }] and come back matched by id, so a dropped,
+// merged or blank entry only costs that entry. Returns id → title for the
+// usable ones, or null when no provider gave a readable reply.
+async function translateTitlesBatch(batch, glossary) {
+  const llms = chains.titles.filter(provider => provider.instructions);
+  if (!llms.length) return null;
+
+  const ids = batch.map(entry => entry.id);
+  const joined = batch.map(entry => entry.text).join('\n');
+  const languages = { sourceLang, targetLang };
   try {
-    const response = await ai.models.generateContent({
-      model: TITLE_MODEL,
-      contents: titles.join('\n'),
-      config: {
-        systemInstruction: "Translate these novel titles accurately to English, preserving their original meaning and style. Return each translated title on a new line in the same order.",
-        safetySettings: safetySettings,
-      }
+    const { text, provider, attempts } = await runChain(llms, {
+      contents: JSON.stringify(batch.map(({ id, text }) => ({ id, title: text }))),
+      system: prompt('titles', { glossary: glossaryInstruction(termsIn(joined, glossary)) }),
+      json: true,
+      sourceLang,
+      targetLang,
+    }, {
+      scheduler,
+      label: 'title batch',
+      validate: output => {
+        try {
+          return parseTitleReply(output, ids, languages).size ? [] : [{ code: 'invalid_json', detail: 'no usable titles' }];
+        } catch (err) {
+          return [{ code: 'invalid_json', detail: err.message }];
+        }
+      },
     });
-
-    if (response && response.text) {
-      return response.text.split('\n').map(title => title.trim());
+    const titles = parseTitleReply(text, ids, languages);
+    // As with chapters, only the primary model's titles are remembered
+    for (const { id, text: source } of batch) {
+      if (provider === llms[0] && titles.has(id)) await memory?.add('title', source, titles.get(id), { model: provider.id, ...memoryVersion(prompt('titles'), source, glossary) });
     }
-    throw new Error('Empty response from API');
+    titleBatches.push({ titles: batch.length, returned: titles.size, model: provider.id, ...attemptUsage(attempts, prices) });
+    return titles;
   } catch (error) {
+    if (error.reason === 'budget') throw error;
     console.error('Batch title translation error:', error.message);
     return null;
   }
 }
 
-async function translateTitleSingle(title) {
+async function translateTitleSingle(title, glossary) {
   try {
-    const response = await ai.models.generateContent({
-      model: TITLE_MODEL,
+    const { text } = await runChain(chains.titles, {
       contents: title,
-      config: {
-        systemInstruction: "Translate this novel title accurately to English, preserving its original meaning and style.",
-        safetySettings: safetySettings,
-      }
-    });
-
-    if (response && response.text) {
-      return response.text.trim();
-    }
-    throw new Error('Empty response from API');
+      system: prompt('title', { glossary: glossaryInstruction(termsIn(title, glossary)) }),
+      sourceLang,
+      targetLang,
+    }, { scheduler, label: 'title' });
+    return text.trim() || null;
   } catch (error) {
+    if (error.reason === 'budget') throw error;
     console.error('Single title translation error:', error.message);
-    return title;
+    return null;
   }
 }
 
-async function googleTranslateTitle(title) {
-  const params = new URLSearchParams({
-    client: 'gtx',
-    sl: 'zh-CN',
-    tl: 'en',
-    dt: 't',
-    q: title,
+// Titles are translated without their chapter prefix ("第12章"), which is put
+// back afterwards as "Chapter 12: …". Entries a batch did not return are
+// repaired one by one; a title that never comes back keeps its original text.
+async function translateTitles(titles, glossary) {
+  const parts = titles.map(splitChapterTitle);
+  const translated = new Map();
+  const pending = [];
+  parts.forEach(({ text }, i) => {
+    if (!text) return;
+    const cached = memory?.lookup('title', text, memoryVersion(prompt('titles'), text, glossary));
+    if (cached) translated.set(i + 1, cached.translation);
+    else pending.push({ id: i + 1, text });
   });
+  if (translated.size) console.log(`${translated.size} titles found in the translation memory`);
+  const batchCount = Math.ceil(pending.length / TITLE_BATCH_SIZE);
 
+  // A budget used up here leaves the remaining titles untranslated; the
+  // chapters then stop straight away
   try {
-    const { data } = await axios.get(
-      'https://translate.googleapis.com/translate_a/single',
-      { params, timeout: 10_000, headers: { 'User-Agent': 'Mozilla/5.0' } }
-    );
-    return data[0].map(seg => seg[0]).join('').trim();
+    for (let i = 0; i < pending.length; i += TITLE_BATCH_SIZE) {
+      const batch = pending.slice(i, i + TITLE_BATCH_SIZE);
+      const batchNumber = i / TITLE_BATCH_SIZE + 1;
+      console.log(`Processing title batch ${batchNumber}/${batchCount}`);
+
+      for (const [id, title] of await translateTitlesBatch(batch, glossary) ?? []) translated.set(id, title);
+      const missing = batch.filter(entry => !translated.has(entry.id));
+      if (!missing.length) continue;
+
+      console.log(`Repairing ${missing.length} of ${batch.length} titles from batch ${batchNumber} one by one`);
+      await Promise.all(missing.map(async ({ id, text }) => {
+        const title = await translateTitleSingle(text, glossary);
+        if (title) translated.set(id, title);
+      }));
+    }
   } catch (err) {
-    console.warn('Google title fallback failed:', err.message);
-    return translateTitleSingle(title);
+    if (err.reason !== 'budget') throw err;
   }
+
+  return titles.map((title, i) => {
+    const { number, text } = parts[i];
+    if (text && !translated.has(i + 1)) return title;
+    return formatChapterTitle(number, translated.get(i + 1), targetLang.code);
+  });
 }
 
-function chunkContentIntelligently(content, maxChunkSize = 1000) {
-  const sentences = content.split(/(?<=[.!?！？。])/g);
-  const chunks = [];
-  let currentChunk = '';
+function storySoFar(context) {
+  if (!context) return '';
+  return `\n\nStory so far, for continuity only (do not translate or repeat it):\n${context}`;
+}
 
-  for (const sentence of sentences) {
-    if ((currentChunk + sentence).length > maxChunkSize && currentChunk) {
-      chunks.push(currentChunk.trim());
-      currentChunk = sentence;
-    } else {
-      currentChunk += sentence;
+// Walks the chapter chain (by default flash-lite → flash → Google Translate).
+// A reply that fails the quality gate moves on to the next provider. If no
+// reply passes, the last rejected one is kept and flagged; if there is none
+// at all, the source text is kept and marked untranslated. Blocked and
+// cut-off replies are recovered from passage by passage (translatePassage).
+async function translateContent(content, { glossary, context } = {}) {
+  if (dialogue) return translateDialogue(content, { glossary, context });
+  if (aligned) return translateContentAligned(content, { glossary, context });
+
+  // Only chapters the primary provider translated are remembered, so a
+  // fallback translation is never reused in place of a better one
+  const version = memoryVersion(prompt('chapter'), content, glossary);
+  const cached = memory?.lookup('chapter', content, version);
+  if (cached) {
+    return { translated: true, content: cached.translation, model: cached.model, status: STATUS.TRANSLATED, attempts: [], latencyMs: 0, memory: { exact: 1, fuzzy: 0 } };
+  }
+
+  const started = Date.now();
+  const log = { attempts: [], recovery: [], issues: [] };
+  const base = () => ({
+    attempts: log.attempts,
+    latencyMs: Date.now() - started,
+    ...(log.recovery.length && { recovery: log.recovery }),
+  });
+
+  try {
+    const { text, provider, passages } = await translatePassage(content, { glossary, context }, log);
+    // A split chapter is credited to the model that translated most of it;
+    // `passages` records who handled each part
+    const model = mainPassageModel(passages) ?? chains.chapters.at(-1).id;
+    const split = passages.length > 1 && { passages };
+    // Some split-off passage failed the quality gate or every provider
+    if (log.issues.length) {
+      console.warn(`Quality gate: flagged recovered chapter (${log.issues.map(i => i.detail).join('; ')})`);
+      return { ...base(), ...split, translated: false, content: text, model, status: STATUS.FLAGGED, issues: log.issues };
+    }
+    const status = provider === chains.chapters[0] ? STATUS.TRANSLATED : STATUS.FALLBACK;
+    if (status === STATUS.TRANSLATED) await memory?.add('chapter', content, text, { model: provider.id, ...version });
+    return { ...base(), ...split, translated: true, content: text, model, status };
+  } catch (err) {
+    if (err.reason === 'budget') throw err;
+    if (err.rejected) {
+      const { text, provider, issues } = err.rejected;
+      console.warn(`Quality gate: no provider passed, keeping ${provider.id} output (${issues.map(i => i.detail).join('; ')})`);
+      return {
+        ...base(),
+        translated: false,
+        content: text,
+        model: provider.id,
+        status: STATUS.FLAGGED,
+        issues,
+      };
     }
+    console.error('All providers failed for chapter:', err.message);
+    return {
+      ...base(),
+      translated: false,
+      content,
+      model: chains.chapters.at(-1).id,
+      status: STATUS.FAILED,
+    };
+  }
+}
+
+// Failure reasons recovered from by splitting instead of falling back
+const RECOVERABLE = ['blocked', 'truncated'];
+
+// Cuts a passage in two at the paragraph break nearest its middle, or at a
+// sentence end when it is a single paragraph; null for a single sentence
+function splitPassage(text) {
+  const middle = text.length / 2;
+  const nearest = cuts => cuts
+    .filter(cut => cut.index > 0 && cut.end < text.length)
+    .sort((a, b) => Math.abs(a.index - middle) - Math.abs(b.index - middle))[0];
+
+  let cut = nearest([...text.matchAll(/\n\s*\n|\n/g)].map(m => ({ index: m.index, end: m.index + m[0].length, separator: m[0] })));
+  if (!cut) {
+    let offset = 0;
+    cut = nearest(text.split(sourceLang.sentenceEnd).map(sentence => {
+      offset += sentence.length;
+      return { index: offset, end: offset, separator: targetLang.spaced ? ' ' : '' };
+    }));
   }
+  return cut ? { parts: [text.slice(0, cut.index), text.slice(cut.end)], separator: cut.separator } : null;
+}
 
-  if (currentChunk.trim()) {
-    chunks.push(currentChunk.trim());
+// Characters per model over a chapter's passages; null when none was translated
+function mainPassageModel(passages) {
+  const chars = new Map();
+  for (const { model, chars: n } of passages) {
+    if (model) chars.set(model, (chars.get(model) ?? 0) + n);
   }
+  return [...chars].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
 
-  return chunks;
+function weakestProvider(providers) {
+  return providers.filter(Boolean).reduce((a, b) => chains.chapters.indexOf(b) > chains.chapters.indexOf(a) ? b : a, null);
 }
 
-async function translateContent(content, model = MODEL_NAME) {
-  // 1️⃣ Try the requested model first
+// Translates a passage down the chapter chain. A reply withheld by a safety
+// or recitation filter, or cut off at the output token limit, does not drop
+// the passage to a weaker provider: it is split in two and each half starts
+// again at the top of the chain. Only a passage too short to split (the one
+// the filter objects to) moves further down. Calls go to `log.attempts`,
+// splits and reroutes to `log.recovery`, and problems with a split-off
+// passage to `log.issues`.
+async function translatePassage(content, { glossary, context }, log, chain = chains.chapters) {
+  const system = prompt('chapter', {
+    glossary: glossaryInstruction(termsIn(content, glossary)),
+    context: storySoFar(context),
+  });
+
   try {
-    console.log(`[translate] using model: ${model}`);
-    const response = await ai.models.generateContent({
-      model,
-      contents: content,
-      config: {
-        systemInstruction:
-          "You are a strict translator. Do not modify the story, characters, or intent. Preserve all names of people, but translate techniques/props/places/organizations when readability benefits. Prioritize natural English flow while keeping the original's tone (humor, sarcasm, etc.). For idioms or culturally specific terms, translate literally if possible; otherwise, adapt with a footnote. Dialogue must match the original's bluntness or subtlety, including punctuation.",
-        safetySettings: safetySettings,
-      },
+    const result = await runChain(chain, { system, contents: content, sourceLang, targetLang }, {
+      scheduler,
+      label: log.recovery.length ? 'passage' : 'chapter',
+      validate: output => checkTranslation(content, output, { sourceLang, targetLang, thresholds }),
+      stopOn: RECOVERABLE,
     });
-
-    if (response?.text) {
-      return { translated: true, content: response.text, model };
-    }
-    throw new Error('Empty response');
+    log.attempts.push(...result.attempts);
+    return { ...result, passages: [{ chars: content.length, model: result.provider.id }] };
   } catch (err) {
-    // 2️⃣ If we hit quota on the primary model, retry once with flash
-    if (
-      (err?.status === 429 || err?.message?.toLowerCase().includes('quota')) &&
-      model === MODEL_NAME && MODEL_NAME !== 'gemini-2.5-flash'
-    ) {
-      console.warn('Quota hit on content → retrying with gemini-2.5-flash');
-      return translateContent(content, 'gemini-2.5-flash');
+    log.attempts.push(...(err.attempts ?? []));
+    if (!RECOVERABLE.includes(err.reason)) throw err;
+    const event = { reason: err.reason, finishReason: err.finishReason, model: err.provider.id, chars: content.length };
+
+    const split = splitPassage(content);
+    if (!split) {
+      const rest = chain.slice(chain.indexOf(err.provider) + 1);
+      log.recovery.push({ ...event, action: rest.length ? 'rerouted' : 'failed' });
+      if (!rest.length) throw err;
+      return translatePassage(content, { glossary, context }, log, rest);
     }
 
-    // 3️⃣ Internal 5xx → single retry on the same model
-    if (err?.message?.toLowerCase().includes('internal') || err?.status >= 500) {
-      console.warn(`${model} internal error, retrying once…`);
+    log.recovery.push({ ...event, action: 'split' });
+    const results = [];
+    for (const part of split.parts) {
       try {
-        const retry = await ai.models.generateContent({
-          model,
-          contents: content,
-          config: {
-            systemInstruction:
-              "You are a strict translator. Do not modify the story, characters, or intent. Preserve all names of people, but translate techniques/props/places/organizations when readability benefits. Prioritize natural English flow while keeping the original's tone (humor, sarcasm, etc.). For idioms or culturally specific terms, translate literally if possible; otherwise, adapt with a footnote. Dialogue must match the original's bluntness or subtlety, including punctuation.",
-            safetySettings: safetySettings,
-          },
-        });
-        if (retry?.text) {
-          return { translated: true, content: retry.text, model };
+        results.push(await translatePassage(part, { glossary, context }, log));
+      } catch (partErr) {
+        if (partErr.reason === 'budget') throw partErr;
+        if (partErr.rejected) {
+          log.issues.push(...partErr.rejected.issues);
+          const { text, provider } = partErr.rejected;
+          results.push({ text, provider, passages: [{ chars: part.length, model: provider.id }] });
+        } else {
+          log.issues.push({ code: 'untranslated_passage', detail: `a ${part.length}-character passage left in ${sourceLang.name}` });
+          results.push({ text: part, provider: null, passages: [{ chars: part.length, model: null }] });
         }
-      } catch (_) {
-        // Continue to fallback
       }
     }
+    return {
+      text: results.map((r, i) => split.parts[i].match(/^\s*/)[0] + r.text.trim()).join(split.separator),
+      provider: weakestProvider(results.map(r => r.provider)),
+      passages: results.flatMap(r => r.passages),
+    };
+  }
+}
 
-    // 4️⃣ All else → Google Translate fallback with chunking & retries
-    console.warn(`${model} failed → falling back to Google: ${err.message}`);
-
-    const MAX_RETRIES = 3;
-    let attempt = 0;
-    let lastError;
+// Dialogue mode: the chapter becomes speaker-attributed lines instead of
+// prose. Only instruction-following providers can do this, and a reply that
+// is not the JSON asked for moves on to the next one.
+async function translateDialogue(content, { glossary, context } = {}) {
+  const providers = chains.chapters.filter(provider => provider.instructions);
+  const system = prompt('dialogue', {
+    narration: narrationRule(),
+    glossary: glossaryInstruction(termsIn(content, glossary)),
+    context: storySoFar(context),
+  });
+  const started = Date.now();
 
-    while (attempt < MAX_RETRIES) {
-      try {
-        const chunks = chunkContentIntelligently(content);
-        let translated = '';
-
-        for (const chunk of chunks) {
-          const params = new URLSearchParams({
-            client: 'gtx',
-            sl: 'zh-CN',
-            tl: 'en',
-            hl: 'en',
-            ie: 'UTF-8',
-            oe: 'UTF-8',
-            dt: 't',
-            q: chunk,
-          });
-
-          const { data } = await axios.get(
-            'https://translate.googleapis.com/translate_a/single',
-            { params, timeout: 15_000, headers: { 'User-Agent': 'Mozilla/5.0' } }
-          );
-          translated += data[0].map(seg => seg[0]).join('');
+  try {
+    const { text, provider, attempts } = await runChain(providers, { system, contents: content, json: true, sourceLang, targetLang }, {
+      scheduler,
+      label: 'dialogue',
+      validate: output => {
+        try {
+          parseDialogue(output, { narration });
+          return [];
+        } catch (err) {
+          return [{ code: 'invalid_json', detail: err.message }];
         }
+      },
+    });
+    const lines = normaliseSpeakers(parseDialogue(text, { narration }), speakerNames(glossary));
+    const status = provider === providers[0] ? STATUS.TRANSLATED : STATUS.FALLBACK;
+    return { translated: true, lines, content: dialogueTranscript(lines), model: provider.id, status, attempts, latencyMs: Date.now() - started };
+  } catch (err) {
+    if (err.reason === 'budget') throw err;
+    console.error('All providers failed for chapter dialogue:', err.message);
+    return {
+      translated: false,
+      lines: [],
+      content: '',
+      model: providers.at(-1).id,
+      status: STATUS.FAILED,
+      attempts: err.attempts ?? [],
+      latencyMs: Date.now() - started,
+    };
+  }
+}
+
+// Reads a paragraph batch reply back into id → text. LLMs answer with the
+// JSON array they were given; plain machine translation gets one paragraph
+// per line and returns one per line.
+function parseAlignedReply(text, batch, provider) {
+  if (!provider.instructions) {
+    const lines = text.split('\n');
+    if (lines.length !== batch.length) throw new Error(`expected ${batch.length} lines, got ${lines.length}`);
+    return new Map(batch.map((paragraph, i) => [paragraph.id, lines[i].trim()]));
+  }
+
+  const parsed = parseModelJson(text);
+  const items = Array.isArray(parsed) ? parsed : parsed?.paragraphs;
+  if (!Array.isArray(items)) throw new Error('expected a JSON array');
+
+  const translations = new Map();
+  for (const item of items) {
+    if (typeof item?.text === 'string' && item.text.trim()) translations.set(Number(item.id), item.text.trim());
+  }
+  const missing = batch.filter(paragraph => !translations.has(paragraph.id));
+  if (missing.length || translations.size !== batch.length) {
+    throw new Error(`paragraph ids do not match (missing ${missing.map(p => p.id).join(', ') || 'none'})`);
+  }
+  return translations;
+}
 
-        return { translated: true, content: translated, model: 'google translate' };
-      } catch (axiosErr) {
-        lastError = axiosErr;
-        attempt++;
-        console.warn(
-          `Google fallback attempt ${attempt}/${MAX_RETRIES} failed: ${axiosErr.message}`
-        );
-        if (attempt < MAX_RETRIES) {
-          await new Promise(r => setTimeout(r, 1000 * attempt));
+// Paragraph-aligned mode: numbered paragraphs are translated in batches and
+// written back one to one, so blank lines, separators and indentation survive
+// exactly. A batch no provider could translate keeps its source paragraphs.
+async function translateContentAligned(content, { glossary, context } = {}) {
+  const started = Date.now();
+  const segments = splitParagraphs(content);
+  const translations = new Map();
+  const attempts = [];
+  const providers = [];
+  const recovery = [];
+  let failedParagraphs = 0;
+
+  // Paragraphs already in the translation memory (or, with --fuzzy, close
+  // enough to one) are not sent again
+  const instruction = prompt('chapter') + ALIGNED_INSTRUCTION;
+  const reused = { exact: 0, fuzzy: 0, models: new Set() };
+  for (const { id, body } of textParagraphs(segments)) {
+    const version = memoryVersion(instruction, body, glossary);
+    const exact = memory?.lookup('paragraph', body, version);
+    const match = exact ?? (fuzzyThreshold ? memory?.fuzzy('paragraph', body, version, fuzzyThreshold)?.entry : null);
+    if (!match) continue;
+    translations.set(id, match.translation);
+    reused[exact ? 'exact' : 'fuzzy']++;
+    reused.models.add(match.model);
+  }
+  const batches = batchParagraphs(textParagraphs(segments).filter(p => !translations.has(p.id)), PARAGRAPH_BATCH_CHARS);
+
+  await Promise.all(batches.map(async batch => {
+    const batchText = batch.map(p => p.body).join('\n');
+    const request = provider => provider.instructions
+      ? {
+        system: prompt('chapter', { glossary: glossaryInstruction(termsIn(batchText, glossary)), context: storySoFar(context) }) + ALIGNED_INSTRUCTION,
+        contents: JSON.stringify(batch.map(({ id, body }) => ({ id, text: body }))),
+        json: true,
+        sourceLang,
+        targetLang,
+      }
+      : { contents: batchText, sourceLang, targetLang };
+
+    const validate = (text, provider) => {
+      try {
+        parseAlignedReply(text, batch, provider);
+        return [];
+      } catch (err) {
+        return [{ code: 'misaligned', detail: err.message }];
+      }
+    };
+
+    // Batches are already short, so a blocked or cut-off one simply moves
+    // on to the next provider; the event is still recorded
+    const noteRecovery = (batchAttempts, action) => {
+      for (const attempt of batchAttempts) {
+        if (!RECOVERABLE.includes(attempt.reason)) continue;
+        recovery.push({ reason: attempt.reason, finishReason: attempt.finishReason, model: attempt.model, chars: batchText.length, action });
+      }
+    };
+
+    try {
+      const result = await runChain(chains.chapters, request, { scheduler, label: 'paragraph batch', validate });
+      attempts.push(...result.attempts);
+      noteRecovery(result.attempts, 'rerouted');
+      providers.push(result.provider);
+      const replies = parseAlignedReply(result.text, batch, result.provider);
+      for (const [id, text] of replies) translations.set(id, text);
+      if (result.provider === chains.chapters[0]) {
+        for (const { id, body } of batch) {
+          await memory?.add('paragraph', body, replies.get(id), { model: result.provider.id, ...memoryVersion(instruction, body, glossary) });
         }
       }
+    } catch (err) {
+      if (err.reason === 'budget') throw err;
+      attempts.push(...(err.attempts ?? []));
+      noteRecovery(err.attempts ?? [], 'failed');
+      failedParagraphs += batch.length;
     }
+  }));
+
+  const output = joinParagraphs(segments, translations);
+  const base = {
+    attempts,
+    latencyMs: Date.now() - started,
+    ...(reused.exact + reused.fuzzy && { memory: { exact: reused.exact, fuzzy: reused.fuzzy } }),
+    ...(recovery.length && { recovery }),
+  };
+  if (!translations.size) {
+    console.error('All providers failed for chapter');
+    return { ...base, translated: false, content, model: chains.chapters.at(-1).id, status: STATUS.FAILED };
+  }
 
-    console.error('Google fallback failed after all retries:', lastError.message);
-    return { translated: false, content, model: 'google translate' };
+  // The chapter is credited to the weakest provider any batch needed, or to
+  // the memory's model when every paragraph came from there
+  const weakest = weakestProvider(providers);
+  const issues = checkTranslation(content, output, { sourceLang, targetLang, thresholds });
+  if (failedParagraphs) {
+    issues.unshift({ code: 'untranslated_paragraphs', detail: `${failedParagraphs} paragraphs left in the source language` });
   }
-}
 
-async function translateContentParallel(items) {
-  const promises = items.map((item, idx) =>
-    new Promise(resolve => {
-      setTimeout(async () => {
-        console.log(`[${idx + 1}/${items.length}] Translating: ${item.title}`);
-        const res = await translateContent(item.content);
-        resolve({
-          title: item.title,
-          content: res.content,
-          model: res.model,
-          ok: res.translated,
-        });
-      }, idx * TRANSLATION_START_DELAY);
-    })
-  );
-
-  const results = await Promise.all(promises);
-
-  const successCount = results.filter(r => r.ok).length;
-  const failCount = results.length - successCount;
+  const result = {
+    ...base,
+    content: output,
+    model: weakest?.id ?? [...reused.models][0],
+  };
+  if (issues.length) {
+    console.warn(`Quality gate: flagged aligned chapter (${issues.map(i => i.detail).join('; ')})`);
+    return { ...result, translated: false, status: STATUS.FLAGGED, issues };
+  }
+  const status = !weakest || weakest === chains.chapters[0] ? STATUS.TRANSLATED : STATUS.FALLBACK;
+  return { ...result, translated: true, status };
+}
 
+// The record kept in the checkpoint; `index`, `ok` and `context` are
+// internal and stripped from the final output
+function chapterResult(item, res) {
   return {
-    translatedItems: results.map(({ ok, ...rest }) => rest),
-    successCount,
-    failCount,
+    index: item.index,
+    title: item.title,
+    ...(res.lines ? { lines: res.lines } : { content: res.content }),
+    model: res.model,
+    ok: res.translated,
+    meta: {
+      index: item.index,
+      originalTitle: item.originalTitle,
+      status: res.status,
+      attempts: res.attempts,
+      retries: Math.max(0, res.attempts.length - 1),
+      latencyMs: res.latencyMs,
+      chars: { source: item.content.length, output: res.content.length },
+      ...(res.lines && { speakers: [...new Set(res.lines.map(line => line.speaker))] }),
+      usage: attemptUsage(res.attempts, prices),
+      ...(res.memory && { memory: res.memory }),
+      profile: profile.id,
+      ...(res.issues && { issues: res.issues }),
+      ...(res.recovery && { recovery: res.recovery }),
+      ...(res.passages && { passages: res.passages }),
+      sourceLang: sourceLang.code,
+      targetLang: targetLang.code,
+    },
   };
 }
 
-async function main(jsonUrl, rangeStr) {
-  try {
-    const jsonData = await fetchJson(jsonUrl);
-    if (!Array.isArray(jsonData)) {
-      throw new Error('Invalid JSON format: Expected an array');
+// Every chapter is started at once; the scheduler decides how many requests
+// are actually in flight and how fast each model is called. Chapters cut off
+// by the budget are left out.
+async function translateContentParallel(items, glossary, onTranslated) {
+  let finished = 0;
+  const promises = items.map(async item => {
+    let res;
+    try {
+      res = await translateContent(item.content, { glossary });
+    } catch (err) {
+      if (err.reason === 'budget') return null;
+      throw err;
     }
+    const result = chapterResult(item, res);
+    await onTranslated?.(result);
+    console.log(`[${++finished}/${items.length}] Translated: ${item.title} (${res.model})`);
+    return result;
+  });
 
-    const { start, end } = parseRange(rangeStr, jsonData.length);
-    console.log(`Processing items ${start} to ${end} of ${jsonData.length}`);
-
-    const resultsDir = path.join(__dirname, '../results');
-    await fs.mkdir(resultsDir, { recursive: true });
-
-    const filename = path.basename(jsonUrl, '.json');
-    const outputPath = path.join(resultsDir, `${filename}_translated_${start}_${end}.json`);
-
-    // Extract items in range
-    const itemsInRange = jsonData.slice(start - 1, end);
-    const originalTitles = itemsInRange.map(item => item.title);
-
-    // Process titles in batches of 50
-    console.log("Translating titles in batches of 50...");
-    const BATCH_SIZE = 50;
-    let translatedTitles = [];
-
-    for (let i = 0; i < originalTitles.length; i += BATCH_SIZE) {
-      const batch = originalTitles.slice(i, i + BATCH_SIZE);
-      console.log(`Processing title batch ${Math.floor(i/BATCH_SIZE) + 1}/${Math.ceil(originalTitles.length/BATCH_SIZE)}`);
-      
-      // Try batch translation first
-      const batchTranslated = await translateTitlesBatch(batch);
-      
-      if (batchTranslated && batchTranslated.length === batch.length) {
-        translatedTitles.push(...batchTranslated);
-      } else {
-        // Fallback to individual translation for this batch
-        console.log(`Batch translation failed, falling back to individual translation for batch ${Math.floor(i/BATCH_SIZE) + 1}`);
-        const individualPromises = batch.map(title => googleTranslateTitle(title));
-        const individualResults = await Promise.all(individualPromises);
-        translatedTitles.push(...individualResults);
-      }
-      
-      // Add delay between batches to avoid rate limiting
-      if (i + BATCH_SIZE < originalTitles.length) {
-        await new Promise(r => setTimeout(r, 2000));
+  return (await Promise.all(promises)).filter(Boolean);
+}
+
+async function updateContext(previous, source, translated) {
+  try {
+    const { text } = await runChain(chains.context, {
+      contents: `PREVIOUS NOTES:\n${previous || '(none yet)'}\n\nORIGINAL CHAPTER:\n${source}\n\nTRANSLATION:\n${translated}`,
+      system: prompt('context'),
+    }, { scheduler, label: 'context notes' });
+    return text.trim();
+  } catch (error) {
+    if (error.reason === 'budget') throw error;
+    console.error('Context update error:', error.message);
+    return previous;
+  }
+}
+
+// One chapter at a time, each carrying notes on the chapters before it.
+// Slower than the parallel mode but keeps names and running jokes stable.
+async function translateContentSequential(items, glossary, onTranslated, initialContext = '') {
+  let context = initialContext;
+  const results = [];
+
+  for (const [idx, item] of items.entries()) {
+    let res;
+    try {
+      res = await translateContent(item.content, { glossary, context });
+    } catch (err) {
+      if (err.reason === 'budget') break;
+      throw err;
+    }
+    // A chapter left untranslated would only teach the notes Chinese. If the
+    // budget runs out while updating them, the chapter (already paid for) is
+    // still saved with the notes so far before the loop stops.
+    let exhausted = false;
+    if (res.translated) {
+      try {
+        context = await updateContext(context, item.content, res.content);
+      } catch (err) {
+        if (err.reason !== 'budget') throw err;
+        exhausted = true;
       }
     }
+    const result = { ...chapterResult(item, res), context };
+    await onTranslated?.(result);
+    console.log(`[${idx + 1}/${items.length}] Translated: ${item.title} (${res.model})`);
+    results.push(result);
+    if (exhausted) break;
+  }
 
-    // Prepare items with translated titles
-    const itemsWithTranslatedTitles = itemsInRange.map((item, index) => ({
-      title: translatedTitles[index] || item.title,
-      content: item.content
-    }));
+  return results;
+}
+
+function reportGlossaryMisses(chapters, glossary) {
+  let flagged = 0;
+  for (const { index, title, source, translated } of chapters) {
+    const misses = checkGlossary(source, translated, glossary);
+    if (!misses.length) continue;
+    flagged++;
+    console.warn(`Glossary: chapter ${index} (${title}) is missing ${misses.map(t => `${t.source} → ${t.target}`).join(', ')}`);
+  }
+  console.log(`Glossary check: ${flagged} of ${chapters.length} chapters flagged`);
+}
 
-    // Translate content
-    const { translatedItems, successCount, failCount } =
-      await translateContentParallel(itemsWithTranslatedTitles);
+// Sets up the module state every translation uses; main() calls it, and
+// upgrade.js calls it before translateChapter()
+export async function configure({
+  concurrency = '4',
+  rpm,
+  providers: providersFile,
+  'title-chain': titleChain,
+  'chapter-chain': chapterChain,
+  'context-chain': contextChain,
+  'source-lang': sourceCode = DEFAULT_SOURCE_LANG,
+  'target-lang': targetCode = DEFAULT_TARGET_LANG,
+  quality,
+  aligned: alignedMode = false,
+  bilingual: bilingualMode = false,
+  primaryOnly = false,
+  prices: pricesFile,
+  'max-tokens': maxTokens,
+  'max-cost': maxCost,
+  mode = 'translate',
+  narration: narrationMode = false,
+  memory: memoryOption,
+  fuzzy,
+  profile: profileOption,
+  novel,
+} = {}) {
+  if (!['translate', 'dialogue'].includes(mode)) throw new Error(`Invalid --mode value: ${mode} (expected translate or dialogue)`);
+  dialogue = mode === 'dialogue';
+  if (dialogue && (alignedMode || bilingualMode)) throw new Error('--mode dialogue cannot be combined with --aligned or --bilingual');
+  sourceLang = getLanguage(sourceCode);
+  targetLang = getLanguage(targetCode);
+  const maxInFlight = parseInt(concurrency);
+  if (!(maxInFlight > 0)) throw new Error(`Invalid --concurrency value: ${concurrency}`);
+  prices = await loadPrices(pricesFile);
+  const budget = parseBudget({ maxTokens, maxCost, prices });
+  scheduler = new Scheduler({ maxInFlight, ...parseRpm(rpm, MODEL_RPM), budget });
+  chains = await loadChains({ config: providersFile, titleChain, chapterChain, contextChain });
+  // Upgrades only count when the primary provider answered
+  if (primaryOnly) chains.chapters = chains.chapters.slice(0, 1);
+  if (dialogue && !chains.chapters.some(provider => provider.instructions)) {
+    throw new Error('--mode dialogue needs an instruction-following provider in the chapter chain');
+  }
+  thresholds = await loadThresholds(quality);
+  narration = narrationMode;
+  profile = await loadProfile(await profileName(novel, profileOption));
+  // `--memory off` disables it, `--memory file.jsonl` uses another store
+  memory = memoryOption === 'off' ? null : await TranslationMemory.open(memoryOption ?? memoryPath(sourceLang.code, targetLang.code));
+  fuzzyThreshold = fuzzy === undefined ? null : Number(fuzzy);
+  if (fuzzyThreshold !== null && !(fuzzyThreshold > 0 && fuzzyThreshold <= 1)) throw new Error(`Invalid --fuzzy value: ${fuzzy} (expected 0-1, e.g. 0.9)`);
+  if (fuzzyThreshold !== null && !(alignedMode || bilingualMode)) throw new Error('--fuzzy matches paragraphs, so it needs --aligned or --bilingual');
+  // Bilingual output interleaves aligned paragraphs, so it implies --aligned
+  bilingual = bilingualMode;
+  aligned = alignedMode || bilingualMode;
+  return { chains, sourceLang, targetLang, profile, scheduler };
+}
+
+// item is { index, title, originalTitle, content }
+export async function translateChapter(item, glossary) {
+  return chapterResult(item, await translateContent(item.content, { glossary }));
+}
+
+export async function main(jsonUrl, rangeStr, options = {}) {
+  const {
+    resume = false,
+    glossary: glossaryFile,
+    sequential = false,
+    export: exportOption,
+    'chapter-pattern': chapterPatterns,
+  } = options;
+  const startedAt = new Date().toISOString();
+  await configure({ ...options, novel: sourceName(jsonUrl) });
+  titleBatches = [];
+  const exportFormats = exportOption ? parseExportFormats(exportOption) : [];
+  // Results keep the translation only; the interleaved text is an export
+  if (bilingual && !exportFormats.includes('txt')) exportFormats.push('txt');
+  if (dialogue && exportFormats.length) throw new Error('--export only applies to translations, not --mode dialogue');
+  console.log(`Chapters: ${chains.chapters.map(p => p.id).join(' → ')}`);
+  console.log(`Prompt profile: ${profile.id}`);
+
+  const jsonData = await loadSource(jsonUrl, { chapterPatterns });
+
+  const { start, end } = parseRange(rangeStr, jsonData.length);
+  console.log(`Processing items ${start} to ${end} of ${jsonData.length} (${sourceLang.name} → ${targetLang.name})`);
+
+  const resultsDir = path.join(__dirname, '../results');
+  await fs.mkdir(resultsDir, { recursive: true });
+
+  const filename = sourceName(jsonUrl);
+  const prefix = languagePrefix(filename, sourceLang, targetLang);
+  const outputPath = path.join(resultsDir, `${prefix}_${dialogue ? 'dialogue' : 'translated'}_${start}_${end}.json`);
+
+  // An explicit --glossary must exist; glossary/<name>.json is optional
+  const glossary = await loadGlossary(glossaryFile ?? glossaryPath(filename, targetLang.code));
+  if (glossaryFile && !glossary) throw new Error(`Glossary not found: ${glossaryFile}`);
+  if (glossary) console.log(`Using glossary ${glossary.file} (${glossary.terms.length} terms)`);
+  if (memory) console.log(`Using translation memory ${path.relative(process.cwd(), memory.file)} (${memory.size} entries)`);
+
+  // Chapters already saved by an earlier run are skipped on resume;
+  // failed ones are translated again
+  const checkpoint = new Checkpoint(checkpointPath(outputPath));
+  const done = new Map();
+  if (resume) {
+    for (const [index, entry] of await checkpoint.load()) {
+      if (entry.ok && index >= start && index <= end) done.set(index, entry);
+    }
+    console.log(`Resuming: ${done.size} chapters already translated`);
+  } else {
+    await checkpoint.reset();
+  }
+
+  // Extract items in range, keeping their 1-based source index
+  const itemsInRange = jsonData
+    .slice(start - 1, end)
+    .map((item, i) => ({ ...item, index: start + i }))
+    .filter(item => !done.has(item.index));
+  const originalTitles = itemsInRange.map(item => item.title);
+
+  console.log(`Translating titles in batches of ${TITLE_BATCH_SIZE}...`);
+  const translatedTitles = await translateTitles(originalTitles, glossary);
+
+  // Prepare items with translated titles
+  const itemsWithTranslatedTitles = itemsInRange.map((item, index) => ({
+    index: item.index,
+    originalTitle: item.title,
+    title: translatedTitles[index] || item.title,
+    content: item.content
+  }));
+
+  // Chapters are streamed to the checkpoint in the order they finish; the
+  // ordered JSON array is only written once the range is complete
+  console.log(`Streaming chapters to ${path.basename(checkpoint.file)}`);
+  const progress = new Progress({ total: end - start + 1, done: done.size, scheduler }).start();
+  const saveChapter = result => {
+    progress.tick(result.meta.status === STATUS.FAILED ? 'failed' : result.model);
+    return checkpoint.append(result);
+  };
+  let results;
+  try {
+    if (sequential) {
+      // Pick the story notes up from the last chapter saved before the first pending one
+      const firstPending = itemsWithTranslatedTitles[0]?.index ?? Infinity;
+      const previous = [...done.values()]
+        .filter(entry => entry.index < firstPending && entry.context)
+        .sort((a, b) => b.index - a.index)[0];
+      results = await translateContentSequential(itemsWithTranslatedTitles, glossary, saveChapter, previous?.context);
+    } else {
+      results = await translateContentParallel(itemsWithTranslatedTitles, glossary, saveChapter);
+    }
+  } finally {
+    progress.stop();
+  }
+
+  // Out of budget: the finished chapters stay in the checkpoint for --resume
+  if (scheduler.budget?.exceeded) {
+    await checkpoint.pending;
+    const saved = done.size + results.length;
+    console.warn(`\nStopping: ${scheduler.budget.exceeded}`);
+    console.warn(`${saved} of ${end - start + 1} chapters are saved in ${checkpoint.file}; run again with --resume to continue`);
+    return { outputPath: null, report: null, stopped: 'budget' };
+  }
 
-    await fs.writeFile(outputPath, JSON.stringify(translatedItems, null, 2));
-    console.log(`\nTranslation summary:`);
-    console.log(`- Successfully translated (${MODEL_NAME}): ${successCount}`);
-    console.log(`- Failed to translate (${FALLBACK_MODEL}): ${failCount}`);
-    console.log(`Translated results saved to ${outputPath}`);
+  const allResults = [...done.values(), ...results].sort((a, b) => a.index - b.index);
+  const translatedItems = allResults.map(({ index, ok, context, ...rest }) => rest);
+  const report = buildRunReport(allResults, { source: jsonUrl, start, end, sourceLang, targetLang, startedAt, usage: scheduler.usage, prices, titleBatches, profile: profile.id });
+
+  // Compaction: the ordered array replaces the stream
+  await fs.writeFile(outputPath, JSON.stringify(translatedItems, null, 2));
+  await writeRunReport(reportPath(outputPath), report);
+  await checkpoint.remove();
+
+  if (glossary && !dialogue) {
+    reportGlossaryMisses(allResults.map(r => ({
+      index: r.index,
+      title: r.title,
+      source: jsonData[r.index - 1].content,
+      translated: r.content,
+    })), glossary);
+  }
+
+  if (exportFormats.length) {
+    const written = await writeBilingualExports(bilingualChapters(translatedItems, jsonData), {
+      dir: path.join(__dirname, '../exports'),
+      base: `${prefix}_bilingual_${start}_${end}`,
+      formats: exportFormats,
+      heading: `${filename} ${start}–${end}`,
+      languages: { source: sourceLang.code, target: targetLang.code },
+    });
+    console.log(`Bilingual exports: ${written.map(f => path.basename(f)).join(', ')}`);
+  }
+
+  printRunReport(report);
+  if (memory) console.log(`Translation memory: ${memory.hits.exact} exact and ${memory.hits.fuzzy} fuzzy matches reused`);
+  console.log(`Translated results saved to ${outputPath}`);
+  return { outputPath, report };
+}
+
+// Run as a command unless imported (the planner calls main() directly)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      resume: { type: 'boolean', default: false },
+      concurrency: { type: 'string', default: '4' },
+      rpm: { type: 'string' },
+      glossary: { type: 'string' },
+      sequential: { type: 'boolean', default: false },
+      providers: { type: 'string' },
+      'title-chain': { type: 'string' },
+      'chapter-chain': { type: 'string' },
+      'context-chain': { type: 'string' },
+      'source-lang': { type: 'string', default: DEFAULT_SOURCE_LANG },
+      'target-lang': { type: 'string', default: DEFAULT_TARGET_LANG },
+      quality: { type: 'string' },
+      aligned: { type: 'boolean', default: false },
+      bilingual: { type: 'boolean', default: false },
+      export: { type: 'string' },
+      prices: { type: 'string' },
+      'max-tokens': { type: 'string' },
+      'max-cost': { type: 'string' },
+      memory: { type: 'string' },
+      fuzzy: { type: 'string' },
+      profile: { type: 'string' },
+      mode: { type: 'string', default: 'translate' },
+      narration: { type: 'boolean', default: false },
+      'chapter-pattern': { type: 'string', multiple: true },
+    },
+  });
 
+  const [jsonUrl, range] = positionals;
+  if (!jsonUrl || !range) {
+    console.error('Usage: node ai_query.js <json_url> <range> [--resume] [--concurrency <n>] [--rpm <n|model=n,...>] [--glossary <file>] [--sequential] [--providers <config.json>] [--title-chain <specs>] [--chapter-chain <specs>] [--context-chain <specs>] [--source-lang <code>] [--target-lang <code>] [--quality <thresholds.json|off>] [--aligned] [--bilingual] [--export <json,md,html,txt>] [--prices <prices.json>] [--max-tokens <n>] [--max-cost <usd>] [--memory <file.jsonl|off>] [--fuzzy <0-1>] [--profile <name|file.json>] [--mode <translate|dialogue>] [--narration] [--chapter-pattern <regex>]...');
+    console.error('<json_url> may also be a local .json, .jsonl, .txt or .epub file, or a directory of .txt chapters');
+    process.exit(1);
+  }
+
+  try {
+    await main(jsonUrl, range, options);
   } catch (error) {
     console.error('Error:', error);
     process.exit(1);
   }
 }
-
-const [jsonUrl, range] = process.argv.slice(2);
-if (!jsonUrl || !range) {
-  console.error('Usage: node ai_query.js <json_url> <range>');
-  process.exit(1);
-}
-
-await main(jsonUrl, range);
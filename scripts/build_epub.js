@@ -0,0 +1,79 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { buildEpub } from './lib/epub.js';
+import { loadRanges, mergeRanges } from './lib/merge.js';
+
+const EXPORTS_DIR = 'exports';
+
+// A merged data/<prefix>_translated.json, or the prefix of the range files
+// in results/, merged the way merge.js does by default
+async function loadChapters(input) {
+  if (input.endsWith('.json')) {
+    const chapters = JSON.parse(await fs.readFile(input, 'utf8'));
+    if (!Array.isArray(chapters)) throw new Error('Invalid JSON format: Expected an array');
+    return { name: path.basename(input, '.json').replace(/_translated$/, ''), chapters };
+  }
+
+  const { ranges, problems } = await loadRanges(input);
+  for (const { file, problem } of problems) console.warn(`Warning: ${path.basename(file)} ${problem}`);
+  if (!ranges.length) throw new Error(`No result files found for ${input}`);
+  return { name: input, chapters: mergeRanges(ranges).chapters };
+}
+
+// The model that translated most chapters is credited as the translator
+function mainModel(chapters) {
+  const counts = new Map();
+  for (const { model } of chapters) {
+    if (model) counts.set(model, (counts.get(model) ?? 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+async function main(input, { title, author, language, translator, cover: coverFile, out }) {
+  const { name, chapters } = await loadChapters(input);
+  const readable = chapters.filter(chapter => chapter?.content);
+  if (readable.length < chapters.length) {
+    console.warn(`Skipping ${chapters.length - readable.length} chapters without content`);
+  }
+  if (!readable.length) throw new Error('No chapters to build');
+
+  const cover = coverFile && { name: coverFile, data: await fs.readFile(coverFile) };
+  const epub = buildEpub(readable, {
+    title: title ?? name,
+    author,
+    language: language ?? readable.find(c => c.meta?.targetLang)?.meta.targetLang ?? 'en',
+    translator: translator ?? mainModel(readable),
+    cover,
+  });
+
+  const outputPath = out ?? path.join(EXPORTS_DIR, `${name}.epub`);
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, epub);
+  console.log(`Wrote ${readable.length} chapters to ${outputPath}`);
+}
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    title: { type: 'string' },
+    author: { type: 'string' },
+    language: { type: 'string' },
+    translator: { type: 'string' },
+    cover: { type: 'string' },
+    out: { type: 'string' },
+  },
+});
+
+const [input] = positionals;
+if (!input) {
+  console.error('Usage: node build_epub.js <merged.json | result_prefix> [--title <text>] [--author <name>] [--language <code>] [--translator <text>] [--cover <image>] [--out <file>]');
+  process.exit(1);
+}
+
+try {
+  await main(input, options);
+} catch (error) {
+  console.error('Error:', error);
+  process.exit(1);
+}
@@ -0,0 +1,68 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { loadSource, sourceName } from './lib/source.js';
+import { listResultFiles } from './lib/results.js';
+import { loadGlossary, glossaryPath, checkGlossary } from './lib/glossary.js';
+import { getLanguage, languagePrefix, DEFAULT_SOURCE_LANG, DEFAULT_TARGET_LANG } from './lib/languages.js';
+
+// Flags translated chapters in results/<name>_translated_*.json where a
+// glossary term appears in the source but its fixed rendering does not
+async function main(jsonUrl, { glossary: glossaryFile, 'source-lang': sourceCode, 'target-lang': targetCode, 'chapter-pattern': chapterPatterns }) {
+  const name = sourceName(jsonUrl);
+  const sourceLang = getLanguage(sourceCode);
+  const targetLang = getLanguage(targetCode);
+  const glossaryLocation = glossaryFile ?? glossaryPath(name, targetLang.code);
+  const glossary = await loadGlossary(glossaryLocation);
+  if (!glossary) throw new Error(`Glossary not found: ${glossaryLocation}`);
+
+  const jsonData = await loadSource(jsonUrl, { chapterPatterns });
+
+  const prefix = languagePrefix(name, sourceLang, targetLang);
+  const files = await listResultFiles(prefix);
+  if (!files.length) throw new Error(`No result files found for ${prefix}`);
+
+  let checked = 0;
+  let flagged = 0;
+  for (const file of files) {
+    const chapters = JSON.parse(await fs.readFile(file.path, 'utf8'));
+    chapters.forEach((chapter, i) => {
+      const index = file.start + i;
+      const source = jsonData[index - 1]?.content;
+      if (!source) return;
+      checked++;
+      const misses = checkGlossary(source, chapter.content, glossary);
+      if (!misses.length) return;
+      flagged++;
+      console.log(`${path.basename(file.path)} #${index} ${chapter.title}`);
+      for (const term of misses) console.log(`  missing ${term.source} → ${term.target}`);
+    });
+  }
+
+  console.log(`\n${flagged} of ${checked} chapters flagged against ${glossary.terms.length} glossary terms`);
+  return flagged;
+}
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    glossary: { type: 'string' },
+    'source-lang': { type: 'string', default: DEFAULT_SOURCE_LANG },
+    'target-lang': { type: 'string', default: DEFAULT_TARGET_LANG },
+    'chapter-pattern': { type: 'string', multiple: true },
+  },
+});
+
+const [jsonUrl] = positionals;
+if (!jsonUrl) {
+  console.error('Usage: node check_glossary.js <json_url> [--glossary <file>] [--source-lang <code>] [--target-lang <code>] [--chapter-pattern <regex>]...');
+  process.exit(1);
+}
+
+try {
+  const flagged = await main(jsonUrl, options);
+  if (flagged) process.exitCode = 2;
+} catch (error) {
+  console.error('Error:', error);
+  process.exit(1);
+}
@@ -0,0 +1,182 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { configure, translateChapter } from './ai_query.js';
+import { loadSource, sourceName, parseRange } from './lib/source.js';
+import { loadGlossary, glossaryPath } from './lib/glossary.js';
+import { Scheduler, parseRpm } from './lib/scheduler.js';
+import { MODEL_RPM } from './lib/providers/index.js';
+import { loadPrices, usageTotals } from './lib/usage.js';
+import { loadJudge } from './lib/judge.js';
+import { chapterMetrics, automaticScore, blindOrder, letter, summarise, summaryMarkdown, writeComparison } from './lib/compare.js';
+import { getLanguage, DEFAULT_SOURCE_LANG, DEFAULT_TARGET_LANG } from './lib/languages.js';
+
+const COMPARISONS_DIR = 'comparisons';
+
+// Flags every configuration shares unless its own entry overrides them
+const SHARED_OPTIONS = ['concurrency', 'rpm', 'providers', 'source-lang', 'target-lang', 'quality', 'aligned', 'prices'];
+
+// --config "<chapter provider>[@<profile>]" (repeatable), or --configs
+// file.json holding [{ "name", "chapter-chain", "profile", ...ai_query options }]
+async function loadConfigs(specs = [], file) {
+  const configs = specs.map(spec => {
+    const at = spec.lastIndexOf('@');
+    const chain = at === -1 ? spec : spec.slice(0, at);
+    return { name: spec, options: { 'chapter-chain': chain, ...(at !== -1 && { profile: spec.slice(at + 1) }) } };
+  });
+  if (file) {
+    const entries = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (!Array.isArray(entries)) throw new Error(`${file} must hold an array of configurations`);
+    for (const [i, { name, ...options }] of entries.entries()) {
+      configs.push({ name: name ?? `config ${i + 1}`, options });
+    }
+  }
+  const names = configs.map(c => c.name);
+  if (configs.length < 2) throw new Error('Compare needs at least two configurations (--config or --configs)');
+  if (new Set(names).size !== names.length) throw new Error(`Configuration names must be unique: ${names.join(', ')}`);
+  return configs;
+}
+
+// "5" picks 5 chapters spread evenly over the novel, "3-7" a range and
+// "1,40,200" exactly those
+function pickSample(sample, total) {
+  if (sample.includes(',')) {
+    const indexes = sample.split(',').map(s => parseInt(s));
+    if (indexes.some(i => !(i >= 1 && i <= total))) throw new Error(`Invalid --sample value: ${sample}`);
+    return indexes;
+  }
+  if (sample.includes('-')) {
+    const { start, end } = parseRange(sample, total);
+    return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+  }
+  const count = Math.min(parseInt(sample), total);
+  if (!(count > 0)) throw new Error(`Invalid --sample value: ${sample}`);
+  return Array.from({ length: count }, (_, i) => Math.floor((i + 0.5) * total / count) + 1);
+}
+
+// Translates the same sample with every configuration, each with its first
+// chapter provider only (no fallback) and without the translation memory,
+// scores the results and writes the comparison
+async function main(jsonUrl, options) {
+  const { sample = '5', config: specs, configs: configsFile, judge: judgeSpec, glossary: glossaryFile, out, 'chapter-pattern': chapterPatterns } = options;
+  const configs = await loadConfigs(specs, configsFile);
+  const sourceLang = getLanguage(options['source-lang']);
+  const targetLang = getLanguage(options['target-lang']);
+  const prices = await loadPrices(options.prices);
+
+  const jsonData = await loadSource(jsonUrl, { chapterPatterns });
+  const name = sourceName(jsonUrl);
+  const items = pickSample(sample, jsonData.length).map(index => {
+    const { title, content } = jsonData[index - 1];
+    return { index, title, originalTitle: title, content };
+  });
+  const glossary = await loadGlossary(glossaryFile ?? glossaryPath(name, targetLang.code));
+  if (glossaryFile && !glossary) throw new Error(`Glossary not found: ${glossaryFile}`);
+  console.log(`Comparing ${configs.map(c => c.name).join(' vs ')} on chapters ${items.map(i => i.index).join(', ')}`);
+
+  const chapters = items.map(item => ({ index: item.index, title: item.title, source: item.content, outputs: {} }));
+  const shared = Object.fromEntries(SHARED_OPTIONS.filter(o => options[o] !== undefined).map(o => [o, options[o]]));
+  const results = [];
+  for (const config of configs) {
+    console.log(`\n=== ${config.name} ===`);
+    const { chains, profile, scheduler } = await configure({
+      ...shared,
+      ...config.options,
+      novel: name,
+      primaryOnly: true,
+      memory: 'off',
+    });
+    const translated = await Promise.all(items.map(item => translateChapter(item, glossary)));
+    translated.forEach((result, i) => {
+      const metrics = chapterMetrics(items[i].content, result.content, { sourceLang, targetLang, glossary });
+      chapters[i].outputs[config.name] = {
+        model: result.model,
+        status: result.meta.status,
+        content: result.content,
+        latencyMs: result.meta.latencyMs,
+        usage: result.meta.usage,
+        ...(result.meta.issues && { issues: result.meta.issues }),
+        metrics,
+        automatic: automaticScore(metrics, result.meta.status),
+      };
+      console.log(`Chapter ${items[i].index}: ${result.meta.status} (${result.model})`);
+    });
+    results.push({ name: config.name, provider: chains.chapters[0].id, profile: profile.id, options: config.options, totals: usageTotals(scheduler.usage, prices) });
+  }
+
+  for (const chapter of chapters) chapter.blind = blindOrder(configs.map(c => c.name), chapter.index);
+
+  const judge = await loadJudge(judgeSpec, {
+    providers: options.providers,
+    scheduler: new Scheduler({ maxInFlight: 2, ...parseRpm(options.rpm, MODEL_RPM) }),
+  });
+  if (judge) {
+    console.log(`\nJudging with ${judge.name}...`);
+    await Promise.all(chapters.map(async chapter => {
+      try {
+        const scores = await judge.judge({
+          source: chapter.source,
+          candidates: chapter.blind.map((configName, i) => ({ id: letter(i), text: chapter.outputs[configName].content })),
+          sourceLang,
+          targetLang,
+        });
+        for (const { id, score, notes } of scores) {
+          const configName = chapter.blind[id.charCodeAt(0) - 65];
+          if (configName) chapter.outputs[configName].judge = { score, notes };
+        }
+      } catch (err) {
+        console.warn(`Judge failed for chapter ${chapter.index}: ${err.message}`);
+      }
+    }));
+  }
+
+  const summary = summarise(results, chapters);
+  const title = `${name}: ${configs.map(c => c.name).join(' vs ')}`;
+  const dir = out ?? path.join(COMPARISONS_DIR, `${name}_${new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-')}`);
+  const written = await writeComparison(dir, {
+    configs: results,
+    chapters,
+    summary,
+    title,
+    judge: judge?.name,
+    meta: { source: jsonUrl, languages: { source: sourceLang.code, target: targetLang.code }, judge: judge?.name ?? null, date: new Date().toISOString() },
+  });
+
+  console.log(`\n${summaryMarkdown(summary, { title, judge: judge?.name })}`);
+  console.log(`Wrote ${written.join(', ')}`);
+  console.log('Hand review.csv to raters; review_key.json maps its letters back to configurations');
+}
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    config: { type: 'string', multiple: true },
+    configs: { type: 'string' },
+    sample: { type: 'string', default: '5' },
+    judge: { type: 'string' },
+    out: { type: 'string' },
+    glossary: { type: 'string' },
+    concurrency: { type: 'string' },
+    rpm: { type: 'string' },
+    providers: { type: 'string' },
+    'source-lang': { type: 'string', default: DEFAULT_SOURCE_LANG },
+    'target-lang': { type: 'string', default: DEFAULT_TARGET_LANG },
+    quality: { type: 'string' },
+    aligned: { type: 'boolean' },
+    prices: { type: 'string' },
+    'chapter-pattern': { type: 'string', multiple: true },
+  },
+});
+
+const [jsonUrl] = positionals;
+if (!jsonUrl) {
+  console.error('Usage: node compare.js <json_url> --config <provider[@profile]> --config <provider[@profile]>... [--configs <configs.json>] [--sample <n|a-b|i,j,k>] [--judge <provider|judge.js>] [--glossary <file>] [--out <dir>] [--providers <config.json>] [--concurrency <n>] [--rpm <n|model=n,...>] [--source-lang <code>] [--target-lang <code>] [--quality <thresholds.json|off>] [--aligned] [--prices <prices.json>] [--chapter-pattern <regex>]...');
+  process.exit(1);
+}
+
+try {
+  await main(jsonUrl, options);
+} catch (error) {
+  console.error('Error:', error);
+  process.exit(1);
+}
@@ -0,0 +1,73 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { DRAMA_FORMATS, parseDramaFormats, dialogueScenes, castList, loadVoices, writeDramaExports } from './lib/drama.js';
+
+const EXPORTS_DIR = 'exports';
+
+// "results/16555_dialogue_1_20.json" -> "16555_dialogue_1_20"
+function baseName(file) {
+  return path.basename(file).replace(/\.(json|txt)$/i, '');
+}
+
+// Each input file is a flat [{ speaker, dialogue }] array (like
+// data/ai_output.txt) or a --mode dialogue result; several files are played
+// one after another
+async function main(inputs, { formats: formatList, voices: voicesFile, title, language, 'out-dir': outDir, name }) {
+  const formats = parseDramaFormats(formatList);
+  const voices = await loadVoices(voicesFile);
+
+  const scenes = [];
+  let targetLang;
+  for (const input of inputs) {
+    const data = JSON.parse(await fs.readFile(input, 'utf8'));
+    targetLang ??= Array.isArray(data) ? data.find(c => c?.meta?.targetLang)?.meta.targetLang : undefined;
+    scenes.push(...dialogueScenes(data, baseName(input)));
+  }
+  const cast = castList(scenes);
+  if (!cast.length) throw new Error('No dialogue lines found');
+
+  if (voices && formats.includes('ssml') && !voices['*']) {
+    const unvoiced = cast.filter(role => !voices[role.speaker]).map(role => role.speaker);
+    if (unvoiced.length) console.warn(`No voice for ${unvoiced.join(', ')}; they will use the engine default`);
+  }
+
+  const base = name ?? baseName(inputs[0]);
+  const written = await writeDramaExports(scenes, {
+    dir: outDir,
+    base,
+    formats,
+    title: title ?? base,
+    language: language ?? targetLang,
+    voices,
+  });
+
+  const lines = cast.reduce((sum, role) => sum + role.lines, 0);
+  console.log(`${scenes.length} scenes, ${lines} lines, ${cast.length} speakers`);
+  for (const role of cast.slice().sort((a, b) => b.lines - a.lines)) console.log(`  ${role.speaker}: ${role.lines} lines`);
+  console.log(`Wrote ${written.join(', ')}`);
+}
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    formats: { type: 'string', default: DRAMA_FORMATS.join(',') },
+    voices: { type: 'string' },
+    title: { type: 'string' },
+    language: { type: 'string' },
+    name: { type: 'string' },
+    'out-dir': { type: 'string', default: EXPORTS_DIR },
+  },
+});
+
+if (!positionals.length) {
+  console.error(`Usage: node export_dialogue.js <dialogue.json>... [--formats <${DRAMA_FORMATS.join(',')}>] [--voices <voices.json>] [--title <text>] [--language <code>] [--name <base>] [--out-dir <dir>]`);
+  process.exit(1);
+}
+
+try {
+  await main(positionals, options);
+} catch (error) {
+  console.error('Error:', error);
+  process.exit(1);
+}
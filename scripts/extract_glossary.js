@@ -0,0 +1,172 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { MODEL_RPM, createProvider, runChain } from './lib/providers/index.js';
+import { Scheduler, parseRpm } from './lib/scheduler.js';
+import { loadSource, sourceName } from './lib/source.js';
+import { glossaryPath } from './lib/glossary.js';
+import { getLanguage, DEFAULT_SOURCE_LANG, DEFAULT_TARGET_LANG } from './lib/languages.js';
+
+const EXTRACT_PROVIDER = "gemini:gemini-2.5-flash";
+
+function extractInstruction(sourceLang, targetLang) {
+  return `You align terminology between a ${sourceLang.name} novel chapter and its ${targetLang.name} translation. List the proper nouns and special terms in the ${sourceLang.name} text (people, places, sects and organizations, techniques, items, titles and ranks) together with the exact ${targetLang.name} rendering the translation uses for each. Skip common words. Reply with a JSON array only: [{"source": "<${sourceLang.name} term>", "target": "<${targetLang.name} rendering>", "type": "person|place|organization|technique|item|title|other"}]`;
+}
+
+let scheduler = new Scheduler({ rpm: MODEL_RPM });
+
+async function extractTerms(source, translated, provider, { sourceLang, targetLang }) {
+  try {
+    const { text } = await runChain([provider], {
+      contents: `${sourceLang.name.toUpperCase()}:\n${source}\n\n${targetLang.name.toUpperCase()}:\n${translated}`,
+      system: extractInstruction(sourceLang, targetLang),
+      json: true,
+      sourceLang,
+      targetLang,
+    }, { scheduler, label: 'term extraction' });
+
+    const terms = JSON.parse(text);
+    if (!Array.isArray(terms)) throw new Error('Expected a JSON array');
+    return terms.filter(t => typeof t?.source === 'string' && typeof t?.target === 'string');
+  } catch (error) {
+    console.error('Term extraction error:', error.message);
+    return [];
+  }
+}
+
+function mostCommon(counts) {
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+// Keeps only pairs the model did not invent: the source must occur in the
+// source chapter and the rendering in the translated one
+function collectCandidates(pairs, termsByChapter) {
+  const candidates = new Map();
+
+  termsByChapter.forEach((terms, i) => {
+    const { source, translated } = pairs[i];
+    const lower = translated.toLowerCase();
+    for (const term of terms) {
+      const src = term.source.trim();
+      const target = term.target.trim();
+      if (!src || !target || !source.includes(src) || !lower.includes(target.toLowerCase())) continue;
+
+      if (!candidates.has(src)) {
+        candidates.set(src, { renderings: new Map(), types: new Map() });
+      }
+      const entry = candidates.get(src);
+      entry.renderings.set(target, (entry.renderings.get(target) ?? 0) + 1);
+      entry.types.set(term.type ?? 'other', (entry.types.get(term.type ?? 'other') ?? 0) + 1);
+    }
+  });
+
+  return candidates;
+}
+
+function buildGlossary(candidates, pairs, minChapters) {
+  const terms = [];
+
+  for (const [source, { renderings, types }] of candidates) {
+    const chapters = pairs.filter(p => p.source.includes(source)).length;
+    if (chapters < minChapters) continue;
+
+    const [[target], ...others] = mostCommon(renderings);
+    const term = {
+      source,
+      target,
+      notes: mostCommon(types)[0][0],
+      chapters,
+      renderings: Object.fromEntries(mostCommon(renderings)),
+    };
+    if (others.length) term.conflicts = others.map(([rendering]) => rendering);
+    terms.push(term);
+  }
+
+  return terms.sort((a, b) => b.chapters - a.chapters || a.source.localeCompare(b.source));
+}
+
+async function main(sourceUrl, translationFile, { out, 'min-chapters': minChaptersStr = '3', provider: providerSpec = EXTRACT_PROVIDER, concurrency = '4', rpm, force = false, 'source-lang': sourceCode, 'target-lang': targetCode, 'chapter-pattern': chapterPatterns }) {
+  const minChapters = parseInt(minChaptersStr);
+  if (!(minChapters > 0)) throw new Error(`Invalid --min-chapters value: ${minChaptersStr}`);
+  const maxInFlight = parseInt(concurrency);
+  if (!(maxInFlight > 0)) throw new Error(`Invalid --concurrency value: ${concurrency}`);
+  scheduler = new Scheduler({ maxInFlight, ...parseRpm(rpm, MODEL_RPM) });
+  const provider = createProvider(providerSpec);
+  if (!provider.instructions) throw new Error(`${providerSpec} cannot follow the extraction prompt`);
+
+  const sourceLang = getLanguage(sourceCode);
+  const targetLang = getLanguage(targetCode);
+  const name = sourceName(sourceUrl);
+  const glossaryFile = glossaryPath(name, targetLang.code);
+  const outputPath = out ?? glossaryFile.replace(/\.json$/, '.proposed.json');
+  if (!force && await fs.access(outputPath).then(() => true, () => false)) {
+    throw new Error(`${outputPath} already exists; pass --force to overwrite`);
+  }
+
+  const sourceData = await loadSource(sourceUrl, { chapterPatterns });
+  const translatedData = JSON.parse(await fs.readFile(translationFile, 'utf8'));
+  if (!Array.isArray(translatedData)) {
+    throw new Error('Invalid JSON format: Expected an array');
+  }
+
+  // Merged items carry their source index; files merged before that have
+  // no gaps and line up by position
+  const pairs = translatedData
+    .map((item, i) => ({ source: sourceData[(item?.meta?.index ?? i + 1) - 1]?.content ?? '', translated: item?.content ?? '' }))
+    .filter(p => p.source && p.translated);
+  console.log(`Extracting terms from ${pairs.length} chapters with ${provider.id}`);
+
+  let finished = 0;
+  const termsByChapter = await Promise.all(pairs.map(async ({ source, translated }) => {
+    const terms = await extractTerms(source, translated, provider, { sourceLang, targetLang });
+    console.log(`[${++finished}/${pairs.length}] ${terms.length} terms`);
+    return terms;
+  }));
+
+  const terms = buildGlossary(collectCandidates(pairs, termsByChapter), pairs, minChapters);
+  const conflicts = terms.filter(t => t.conflicts);
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify({
+    source: sourceUrl,
+    translation: translationFile,
+    model: provider.id,
+    languages: { source: sourceLang.code, target: targetLang.code },
+    terms,
+  }, null, 2));
+
+  console.log(`\n${terms.length} candidate terms appearing in at least ${minChapters} chapters`);
+  for (const term of conflicts) {
+    console.log(`- ${term.source}: ${Object.entries(term.renderings).map(([r, n]) => `${r} (${n})`).join(', ')}`);
+  }
+  console.log(`${conflicts.length} terms have conflicting renderings`);
+  console.log(`Review ${outputPath}, then save it as ${glossaryFile} or pass it with --glossary`);
+}
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    out: { type: 'string' },
+    'min-chapters': { type: 'string', default: '3' },
+    provider: { type: 'string', default: EXTRACT_PROVIDER },
+    concurrency: { type: 'string', default: '4' },
+    rpm: { type: 'string' },
+    force: { type: 'boolean', default: false },
+    'source-lang': { type: 'string', default: DEFAULT_SOURCE_LANG },
+    'target-lang': { type: 'string', default: DEFAULT_TARGET_LANG },
+    'chapter-pattern': { type: 'string', multiple: true },
+  },
+});
+
+const [sourceUrl, translationFile] = positionals;
+if (!sourceUrl || !translationFile) {
+  console.error('Usage: node extract_glossary.js <source_json_url> <merged_translation.json> [--out <file>] [--min-chapters <n>] [--provider <spec>] [--force] [--source-lang <code>] [--target-lang <code>] [--chapter-pattern <regex>]...');
+  process.exit(1);
+}
+
+try {
+  await main(sourceUrl, translationFile, options);
+} catch (error) {
+  console.error('Error:', error);
+  process.exit(1);
+}
@@ -0,0 +1,163 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { splitParagraphs, textParagraphs } from './paragraphs.js';
+
+export const EXPORT_FORMATS = ['json', 'md', 'html', 'txt'];
+
+// "md,html" -> ['md', 'html'], checked before any translation starts
+export function parseExportFormats(value) {
+  const formats = value.split(',').map(f => f.trim()).filter(Boolean);
+  for (const format of formats) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+    }
+  }
+  return formats;
+}
+
+// Translated paragraphs are handed to source paragraphs in order, each source
+// paragraph taking the share of the translation that matches its share of
+// the source length. Aligned output (same count) pairs one to one.
+function alignTexts(sources, targets) {
+  if (targets.length === sources.length) return targets.map(t => [t]);
+
+  const groups = sources.map(() => []);
+  if (!sources.length) return groups;
+  const sourceTotal = sources.reduce((sum, s) => sum + s.length, 0) || 1;
+  const targetTotal = targets.reduce((sum, t) => sum + t.length, 0) || 1;
+
+  let boundary = 0;
+  const ends = sources.map(s => (boundary += s.length / sourceTotal));
+  let position = 0;
+  for (const target of targets) {
+    const middle = (position + target.length / 2) / targetTotal;
+    position += target.length;
+    const slot = ends.findIndex(end => middle <= end);
+    groups[slot === -1 ? groups.length - 1 : slot].push(target);
+  }
+  return groups;
+}
+
+// Rows of { source, target } for text, { separator } for decoration lines
+export function pairParagraphs(source, translated) {
+  const segments = splitParagraphs(source).filter(s => s.kind !== 'blank');
+  const sources = textParagraphs(segments).map(p => p.body);
+  const targets = textParagraphs(splitParagraphs(translated ?? '')).map(p => p.body);
+  const groups = alignTexts(sources, targets);
+
+  let next = 0;
+  return segments.map(segment => {
+    if (segment.kind === 'separator') return { separator: segment.raw.trim() };
+    return { source: segment.body, target: groups[next++].join('\n\n') };
+  });
+}
+
+export function bilingualChapters(chapters, sourceItems) {
+  return chapters.map(chapter => {
+    const item = sourceItems[chapter.meta.index - 1];
+    return {
+      index: chapter.meta.index,
+      title: chapter.title,
+      originalTitle: item.title,
+      model: chapter.model,
+      status: chapter.meta.status,
+      paragraphs: pairParagraphs(item.content, chapter.content),
+    };
+  });
+}
+
+function toMarkdown(chapters, heading) {
+  const lines = [`# ${heading}`, ''];
+  for (const chapter of chapters) {
+    lines.push(`## ${chapter.title}`, '', `*${chapter.originalTitle}* — ${chapter.model} (${chapter.status})`, '');
+    for (const row of chapter.paragraphs) {
+      if (row.separator !== undefined) {
+        lines.push('---', '');
+        continue;
+      }
+      lines.push(`> ${row.source}`, '', row.target || '*(missing)*', '');
+    }
+  }
+  return lines.join('\n');
+}
+
+// Each source paragraph followed by its translation; what --bilingual writes
+function toText(chapters, heading) {
+  const lines = [heading, ''];
+  for (const chapter of chapters) {
+    lines.push(chapter.title, chapter.originalTitle, '');
+    for (const row of chapter.paragraphs) {
+      lines.push(row.separator !== undefined ? row.separator : `${row.source}\n${row.target}`, '');
+    }
+  }
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toHtml(chapters, heading, { source, target }) {
+  const toc = chapters
+    .map(c => `<li><a href="#ch${c.index}">${escapeHtml(c.title)}</a></li>`)
+    .join('\n');
+
+  const body = chapters.map(chapter => {
+    const rows = chapter.paragraphs.map(row => row.separator !== undefined
+      ? `<tr class="sep"><td colspan="2">${escapeHtml(row.separator)}</td></tr>`
+      : `<tr><td lang="${source}">${escapeHtml(row.source)}</td><td lang="${target}">${escapeHtml(row.target).replace(/\n\n/g, '<br><br>') || '<em>(missing)</em>'}</td></tr>`
+    ).join('\n');
+    return `<section id="ch${chapter.index}">
+<h2>${escapeHtml(chapter.title)}</h2>
+<p class="meta">${escapeHtml(chapter.originalTitle)} · ${escapeHtml(chapter.model)} · ${chapter.status}</p>
+<table>
+${rows}
+</table>
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="${target}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(heading)}</title>
+<style>
+body { font-family: sans-serif; max-width: 1200px; margin: 0 auto; padding: 1em; }
+table { border-collapse: collapse; width: 100%; }
+td { vertical-align: top; width: 50%; padding: .4em .6em; border-bottom: 1px solid #ddd; line-height: 1.5; }
+tr.sep td { text-align: center; color: #999; }
+.meta { color: #666; font-size: .9em; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(heading)}</h1>
+<ol>
+${toc}
+</ol>
+${body}
+</body>
+</html>
+`;
+}
+
+// Writes <dir>/<base>.<format> for each format and returns the paths
+export async function writeBilingualExports(chapters, { dir, base, formats, heading, languages }) {
+  await fs.mkdir(dir, { recursive: true });
+  const written = [];
+  for (const format of formats) {
+    const file = path.join(dir, `${base}.${format}`);
+    const content = {
+      json: () => JSON.stringify(chapters, null, 2),
+      md: () => toMarkdown(chapters, heading),
+      html: () => toHtml(chapters, heading, languages),
+      txt: () => toText(chapters, heading),
+    }[format]();
+    await fs.writeFile(file, content);
+    written.push(file);
+  }
+  return written;
+}
@@ -0,0 +1,24 @@
+import { promises as fs } from 'fs';
+import { JsonlWriter, readJsonl } from './json.js';
+
+// Finished chapters are appended one JSON line at a time, so a run that dies
+// halfway leaves everything translated so far on disk. The `.jsonl` extension
+// keeps the file out of the `<prefix>_*.json` glob used by the merge workflow.
+export function checkpointPath(outputPath) {
+  return outputPath.replace(/\.json$/, '.checkpoint.jsonl');
+}
+
+export class Checkpoint extends JsonlWriter {
+  async load() {
+    return new Map((await readJsonl(this.file)).map(entry => [entry.index, entry]));
+  }
+
+  async reset() {
+    await fs.writeFile(this.file, '');
+  }
+
+  async remove() {
+    await this.pending;
+    await fs.rm(this.file, { force: true });
+  }
+}
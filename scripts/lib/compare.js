@@ -0,0 +1,191 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { residualRatio } from './quality.js';
+import { termsIn, checkGlossary } from './glossary.js';
+import { escapeXml } from './epub.js';
+import { STATUS } from './report.js';
+
+// Automatic metrics for one translation. `lengthFit` is 1 when the length
+// ratio is what the language pair should produce and falls off either way;
+// `glossary` is the share of glossary terms in the source that were rendered
+// as fixed (null when the chapter uses none).
+export function chapterMetrics(source, output, { sourceLang, targetLang, glossary }) {
+  const text = output ?? '';
+  const expected = sourceLang.density ? targetLang.density / sourceLang.density : 1;
+  const lengthRatio = text.length / Math.max(source.length, 1);
+  const fit = lengthRatio / expected;
+  const terms = termsIn(source, glossary);
+  const misses = checkGlossary(source, text, glossary);
+  return {
+    lengthRatio,
+    lengthFit: fit > 0 ? Math.min(fit, 1 / fit) : 0,
+    residual: sourceLang.script.source !== targetLang.script.source ? residualRatio(text, sourceLang) : 0,
+    glossary: terms.length ? (terms.length - misses.length) / terms.length : null,
+    glossaryMisses: misses.map(term => term.source),
+  };
+}
+
+// One number per chapter for ranking without a judge: the mean of length
+// fit, glossary adherence and (scaled) absence of source script. Failed
+// chapters score 0 and flagged ones are halved.
+export function automaticScore(metrics, status) {
+  if (status === STATUS.FAILED) return 0;
+  const parts = [metrics.lengthFit, Math.max(0, 1 - metrics.residual * 10)];
+  if (metrics.glossary !== null) parts.push(metrics.glossary);
+  const score = parts.reduce((a, b) => a + b, 0) / parts.length;
+  return status === STATUS.FLAGGED ? score / 2 : score;
+}
+
+// Stable per-chapter shuffle, so a rerun gives raters the same letters
+export function blindOrder(names, index) {
+  const rank = name => createHash('sha256').update(`${index}\n${name}`).digest('hex');
+  return [...names].sort((a, b) => rank(a).localeCompare(rank(b)));
+}
+
+export function letter(i) {
+  return String.fromCharCode(65 + i);
+}
+
+function mean(values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  return present.length ? present.reduce((a, b) => a + b, 0) / present.length : null;
+}
+
+// Per configuration: averages, statuses, judge scores and how many chapters
+// it won; the winner goes by judge score when there is one, then by the
+// automatic score, with cost breaking the last ties
+export function summarise(configs, chapters) {
+  const rows = configs.map(config => {
+    const outputs = chapters.map(chapter => chapter.outputs[config.name]);
+    const statuses = {};
+    for (const { status } of outputs) statuses[status] = (statuses[status] ?? 0) + 1;
+    return {
+      name: config.name,
+      profile: config.profile,
+      chapters: outputs.length,
+      statuses,
+      lengthRatio: mean(outputs.map(o => o.metrics.lengthRatio)),
+      residual: mean(outputs.map(o => o.metrics.residual)),
+      glossary: mean(outputs.map(o => o.metrics.glossary)),
+      automatic: mean(outputs.map(o => o.automatic)),
+      judge: mean(outputs.map(o => o.judge?.score)),
+      wins: 0,
+      latencyMs: mean(outputs.map(o => o.latencyMs)),
+      tokens: config.totals.tokens,
+      cost: config.totals.cost,
+    };
+  });
+
+  const byJudge = rows.every(row => row.judge !== null);
+  const scoreOf = output => byJudge ? output.judge?.score : output.automatic;
+  for (const chapter of chapters) {
+    const best = Math.max(...configs.map(c => scoreOf(chapter.outputs[c.name]) ?? -Infinity));
+    for (const row of rows) {
+      if (scoreOf(chapter.outputs[row.name]) === best) row.wins++;
+    }
+  }
+
+  const ranked = [...rows].sort((a, b) =>
+    (byJudge ? b.judge - a.judge : 0) || b.automatic - a.automatic || b.wins - a.wins || a.cost - b.cost);
+  return { rows, ranking: ranked.map(row => row.name), winner: ranked[0].name, by: byJudge ? 'judge' : 'automatic' };
+}
+
+function percent(value) {
+  return value === null ? '–' : `${(value * 100).toFixed(1)}%`;
+}
+
+function fixed(value, digits = 2) {
+  return value === null ? '–' : value.toFixed(digits);
+}
+
+export function summaryMarkdown(summary, { title, judge }) {
+  const out = [`# ${title}`, ''];
+  out.push('| Configuration | Chapters | Translated / fallback / flagged / failed | Length ratio | Source script left | Glossary | Automatic | Judge | Wins | Avg latency | Tokens | Est. cost |');
+  out.push('|---|---:|---|---:|---:|---:|---:|---:|---:|---:|---:|---:|');
+  for (const row of summary.rows) {
+    const s = row.statuses;
+    out.push(`| ${row.name} | ${row.chapters} | ${s.translated ?? 0} / ${s.fallback ?? 0} / ${s.flagged ?? 0} / ${s.failed ?? 0} | ${fixed(row.lengthRatio)} | ${percent(row.residual)} | ${percent(row.glossary)} | ${fixed(row.automatic)} | ${fixed(row.judge, 1)} | ${row.wins} | ${fixed(row.latencyMs / 1000, 1)}s | ${row.tokens} | $${row.cost.toFixed(4)} |`);
+  }
+  out.push('');
+  out.push(summary.by === 'judge'
+    ? `Winner: **${summary.winner}** (highest mean score from ${judge}, 1–10).`
+    : `Winner: **${summary.winner}** (highest automatic score: mean of length fit, glossary adherence and absence of source script; no judge was used).`);
+  out.push(`Ranking: ${summary.ranking.join(' > ')}`);
+  return out.join('\n') + '\n';
+}
+
+function sideBySideHtml(configs, chapters, title) {
+  const names = configs.map(c => c.name);
+  const sections = chapters.map(chapter => {
+    const cells = names.map(name => {
+      const o = chapter.outputs[name];
+      const judge = o.judge ? ` · judge ${o.judge.score}: ${escapeXml(o.judge.notes)}` : '';
+      return `<td><p class="meta">${escapeXml(o.model)} · ${o.status} · length ${o.metrics.lengthRatio.toFixed(2)} · glossary ${percent(o.metrics.glossary)} · auto ${o.automatic.toFixed(2)}${judge}</p>${escapeXml(o.content).replace(/\n/g, '<br>')}</td>`;
+    }).join('\n');
+    return `<section>
+<h2>${chapter.index}. ${escapeXml(chapter.title)}</h2>
+<table>
+<tr><th>Source</th>${names.map(n => `<th>${escapeXml(n)}</th>`).join('')}</tr>
+<tr><td>${escapeXml(chapter.source).replace(/\n/g, '<br>')}</td>
+${cells}</tr>
+</table>
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 0 auto; padding: 1em; }
+table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+td, th { vertical-align: top; padding: .4em .6em; border: 1px solid #ddd; line-height: 1.5; }
+.meta { color: #666; font-size: .85em; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(title)}</h1>
+${sections}
+</body>
+</html>
+`;
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per chapter and anonymous candidate, with empty columns for the
+// rater; the key that maps letters back to configurations is kept apart
+function reviewSheet(chapters) {
+  const rows = [['chapter', 'title', 'candidate', 'translation', 'accuracy (1-5)', 'fluency (1-5)', 'style (1-5)', 'preferred (y/n)', 'notes']];
+  for (const chapter of chapters) {
+    chapter.blind.forEach((name, i) => {
+      rows.push([chapter.index, chapter.title, letter(i), chapter.outputs[name].content, '', '', '', '', '']);
+    });
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// results.json, summary.md, side_by_side.html, review.csv and
+// review_key.json in `dir`; returns the paths
+export async function writeComparison(dir, { configs, chapters, summary, title, judge, meta }) {
+  await fs.mkdir(dir, { recursive: true });
+  const key = Object.fromEntries(chapters.map(c => [c.index, Object.fromEntries(c.blind.map((name, i) => [letter(i), name]))]));
+  const files = {
+    'results.json': JSON.stringify({ ...meta, configs, summary, chapters }, null, 2),
+    'summary.md': summaryMarkdown(summary, { title, judge }),
+    'side_by_side.html': sideBySideHtml(configs, chapters, title),
+    'review.csv': reviewSheet(chapters),
+    'review_key.json': JSON.stringify(key, null, 2),
+  };
+  const written = [];
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, name), content);
+    written.push(path.join(dir, name));
+  }
+  return written;
+}
@@ -0,0 +1,56 @@
+import { parseModelJson } from './json.js';
+
+export const NARRATOR = 'narrator';
+
+// "Zhou Ze (thinking)" -> "zhou ze"
+function speakerKey(name) {
+  return name.replace(/\s*[(（][^)）]*[)）]\s*$/, '').trim().toLowerCase();
+}
+
+// Reads a model reply into [{ speaker, dialogue }], throwing when it is not
+// the JSON array asked for. Narration lines are dropped unless `narration`.
+export function parseDialogue(text, { narration = false } = {}) {
+  const parsed = parseModelJson(text);
+  const items = Array.isArray(parsed) ? parsed : parsed?.lines;
+  if (!Array.isArray(items)) throw new Error('expected a JSON array');
+
+  const lines = [];
+  for (const [i, item] of items.entries()) {
+    if (typeof item?.speaker !== 'string' || typeof item?.dialogue !== 'string') {
+      throw new Error(`entry ${i + 1} needs string "speaker" and "dialogue" fields`);
+    }
+    const speaker = item.speaker.trim();
+    const dialogue = item.dialogue.trim();
+    if (!speaker || !dialogue) continue;
+    const isNarration = speakerKey(speaker) === NARRATOR;
+    if (isNarration && !narration) continue;
+    lines.push({ speaker: isNarration ? NARRATOR : speaker, dialogue });
+  }
+  return lines;
+}
+
+// Maps every known form of a glossary name (its rendering, aliases and
+// original) to the glossary rendering, so "zhou ze", "周泽" and "Zhou Ze
+// (thinking)" all become "Zhou Ze"
+export function speakerNames(glossary) {
+  const names = new Map();
+  for (const term of glossary?.terms ?? []) {
+    for (const form of [term.target, term.source, ...(term.aliases ?? [])]) {
+      const key = speakerKey(form);
+      if (key && !names.has(key)) names.set(key, term.target);
+    }
+  }
+  return names;
+}
+
+export function normaliseSpeakers(lines, names) {
+  return lines.map(line => {
+    if (line.speaker === NARRATOR) return line;
+    return { ...line, speaker: names.get(speakerKey(line.speaker)) ?? line.speaker };
+  });
+}
+
+// Plain text of the lines, for the running story notes
+export function dialogueTranscript(lines) {
+  return lines.map(({ speaker, dialogue }) => `${speaker}: ${dialogue}`).join('\n');
+}
@@ -0,0 +1,170 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { NARRATOR } from './dialogue.js';
+import { escapeXml } from './epub.js';
+
+export const DRAMA_FORMATS = ['script', 'fountain', 'ssml'];
+
+const EXTENSIONS = { script: 'script.md', fountain: 'fountain', ssml: 'ssml' };
+
+// "script,ssml" -> ['script', 'ssml']
+export function parseDramaFormats(value) {
+  const formats = value.split(',').map(f => f.trim()).filter(Boolean);
+  for (const format of formats) {
+    if (!DRAMA_FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}" (expected ${DRAMA_FORMATS.join(', ')})`);
+    }
+  }
+  return formats;
+}
+
+function checkLines(lines, where) {
+  if (!Array.isArray(lines)) throw new Error(`${where}: expected an array of { speaker, dialogue }`);
+  for (const [i, line] of lines.entries()) {
+    if (typeof line?.speaker !== 'string' || typeof line?.dialogue !== 'string') {
+      throw new Error(`${where}: line ${i + 1} needs string "speaker" and "dialogue" fields`);
+    }
+  }
+  return lines;
+}
+
+// Scenes of { title, lines } from either a flat [{ speaker, dialogue }]
+// array (one scene) or the chapter records --mode dialogue writes (one
+// scene per chapter)
+export function dialogueScenes(data, title) {
+  if (!Array.isArray(data)) throw new Error('Invalid JSON format: Expected an array');
+  if (data.every(entry => Array.isArray(entry?.lines))) {
+    return data.map((chapter, i) => ({
+      title: chapter.title ?? `Chapter ${chapter.meta?.index ?? i + 1}`,
+      lines: checkLines(chapter.lines, chapter.title ?? `chapter ${i + 1}`),
+    }));
+  }
+  return [{ title, lines: checkLines(data, title) }];
+}
+
+// Speakers in order of first appearance, with how much each one says
+export function castList(scenes) {
+  const cast = new Map();
+  scenes.forEach((scene, sceneIndex) => {
+    for (const { speaker, dialogue } of scene.lines) {
+      if (!cast.has(speaker)) cast.set(speaker, { speaker, lines: 0, words: 0, scenes: new Set(), firstScene: sceneIndex + 1 });
+      const entry = cast.get(speaker);
+      entry.lines++;
+      entry.words += dialogue.split(/\s+/).filter(Boolean).length;
+      entry.scenes.add(sceneIndex);
+    }
+  });
+  return [...cast.values()].map(({ scenes: sceneSet, ...entry }) => ({ ...entry, scenes: sceneSet.size }));
+}
+
+// voices.json maps speakers to TTS voices: { "Zhou Ze": "en-US-GuyNeural",
+// "narrator": { "name": "en-US-AriaNeural", "rate": "-10%" }, "*": "..." }.
+// "*" is used for anyone not listed.
+export async function loadVoices(file) {
+  if (!file) return null;
+  const voices = JSON.parse(await fs.readFile(file, 'utf8'));
+  for (const [speaker, voice] of Object.entries(voices)) {
+    if (typeof voice !== 'string' && typeof voice?.name !== 'string') {
+      throw new Error(`Invalid voice for ${speaker} in ${file}: expected a name or { "name", "rate", "pitch" }`);
+    }
+  }
+  return voices;
+}
+
+function voiceFor(speaker, voices) {
+  const voice = voices?.[speaker] ?? voices?.['*'];
+  return typeof voice === 'string' ? { name: voice } : voice;
+}
+
+function oneLine(text) {
+  return text.replace(/\s*\n\s*/g, ' ').trim();
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+// Casting sheet first, then every scene with numbered lines so actors and
+// the director can refer to "line 42"
+function toScript(scenes, { title, voices }) {
+  const cast = castList(scenes);
+  const out = [`# ${title}`, '', '## Casting sheet', ''];
+  out.push('| Role | Lines | Words | Scenes | First scene | Voice / actor |', '|---|---:|---:|---:|---:|---|');
+  for (const role of cast) {
+    out.push(`| ${escapeCell(role.speaker)} | ${role.lines} | ${role.words} | ${role.scenes} | ${role.firstScene} | ${escapeCell(voiceFor(role.speaker, voices)?.name ?? '')} |`);
+  }
+
+  let number = 0;
+  scenes.forEach((scene, i) => {
+    const counts = castList([scene]).map(role => `${role.speaker} ${role.lines}`).join(', ');
+    out.push('', `## Scene ${i + 1}: ${scene.title}`, '', `*${counts || 'no lines'}*`, '');
+    for (const { speaker, dialogue } of scene.lines) {
+      number++;
+      out.push(speaker === NARRATOR
+        ? `${number}. *${oneLine(dialogue)}*`
+        : `${number}. **${speaker.toUpperCase()}:** ${oneLine(dialogue)}`);
+    }
+  });
+  return out.join('\n') + '\n';
+}
+
+// Fountain wants character cues in capitals; anything that would not read as
+// one after upper-casing (non-Latin names) is forced with "@"
+function fountainCue(speaker) {
+  const cue = speaker.toUpperCase();
+  return /\p{Ll}|[^\p{Lu}\p{N}\s.'()-]/u.test(cue) ? `@${speaker}` : cue;
+}
+
+function toFountain(scenes, { title }) {
+  const out = [`Title: ${title}`, 'Credit: Audio drama script', ''];
+  for (const scene of scenes) {
+    // A leading "." forces a scene heading without INT./EXT.
+    out.push('', `.${oneLine(scene.title).toUpperCase()}`, '');
+    for (const { speaker, dialogue } of scene.lines) {
+      if (speaker === NARRATOR) {
+        out.push(`!${oneLine(dialogue)}`, '');
+      } else {
+        out.push(fountainCue(speaker), oneLine(dialogue), '');
+      }
+    }
+  }
+  return out.join('\n');
+}
+
+const SCENE_BREAK = '1500ms';
+
+// One <voice> per line. Scenes are separated by a pause; speakers with no
+// voice (and no "*" default) are read by the engine's default voice.
+function toSsml(scenes, { language, voices }) {
+  const out = [`<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${escapeXml(language)}">`];
+  scenes.forEach((scene, i) => {
+    out.push(`<!-- Scene ${i + 1}: ${escapeXml(scene.title).replace(/--/g, '- -')} -->`);
+    scene.lines.forEach(({ speaker, dialogue }, j) => {
+      const pause = i > 0 && j === 0 ? `<break time="${SCENE_BREAK}"/>` : '';
+      const voice = voiceFor(speaker, voices);
+      const prosody = [voice?.rate && `rate="${escapeXml(voice.rate)}"`, voice?.pitch && `pitch="${escapeXml(voice.pitch)}"`].filter(Boolean).join(' ');
+      let text = escapeXml(oneLine(dialogue));
+      if (prosody) text = `<prosody ${prosody}>${text}</prosody>`;
+      out.push(voice
+        ? `<voice name="${escapeXml(voice.name)}">${pause}${text}</voice>`
+        : `<p>${pause}${text}</p>`);
+    });
+  });
+  out.push('</speak>');
+  return out.join('\n') + '\n';
+}
+
+// Writes <dir>/<base>.<extension> for each format and returns the paths
+export async function writeDramaExports(scenes, { dir, base, formats, title, language = 'en', voices }) {
+  await fs.mkdir(dir, { recursive: true });
+  const written = [];
+  for (const format of formats) {
+    const file = path.join(dir, `${base}.${EXTENSIONS[format]}`);
+    const content = format === 'script'
+      ? toScript(scenes, { title, voices })
+      : format === 'fountain' ? toFountain(scenes, { title }) : toSsml(scenes, { language, voices });
+    await fs.writeFile(file, content);
+    written.push(file);
+  }
+  return written;
+}
@@ -0,0 +1,280 @@
+import { randomUUID } from 'crypto';
+import path from 'path';
+import { createZip } from './zip.js';
+import { splitParagraphs } from './paragraphs.js';
+
+const SUPERSCRIPTS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+const SUPERSCRIPT = '[⁰¹²³⁴⁵⁶⁷⁸⁹]+';
+// "1.", "[1]", "[^1]:", "<sup>1</sup>", "¹" or "^1" at the start of a note
+const NOTE_LINE = new RegExp(`^\\*?(?:\\[\\^?(\\d+)\\]:?|<sup>(\\d+)</sup>|(\\d+)[.)]|(${SUPERSCRIPT})|\\^(\\d+))\\*?\\s*(.+)$`);
+// The same markers inside the text, where "[1]" is only a note if one exists
+const NOTE_MARKER = new RegExp(`\\[\\^?(\\d+)\\]|<sup>(\\d+)</sup>|\\^(\\d+)|(${SUPERSCRIPT})`, 'g');
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+};
+
+function noteNumber(digits, superscript) {
+  if (digits !== undefined) return Number(digits);
+  return Number([...superscript].map(ch => SUPERSCRIPTS.indexOf(ch)).join(''));
+}
+
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// The models write light Markdown: **bold** and *italic*
+function inline(text) {
+  return escapeXml(text)
+    .replace(/\*\*([^*\s](?:[^*]*[^*\s])?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s](?:[^*]*[^*\s])?)\*(?!\*)/g, '$1<em>$2</em>');
+}
+
+function isNoteHeading(line) {
+  const text = line.replace(/[*_#:\s]+/g, ' ').trim();
+  return /^(?:foot ?notes?|notes?|translator'?s? notes?|t\/?n)$/i.test(text);
+}
+
+function isSeparator(line) {
+  return /^\s*(?:\*{3,}|-{3,}|_{3,}|(?:\* ){2,}\*)\s*$/.test(line);
+}
+
+// Splits a chapter into its body and the notes the model appended at the end,
+// either under a "Footnotes:" heading or as numbered lines after a "***"
+// separator. Returns notes as [{ id, text }]; unnumbered notes have no id.
+export function extractFootnotes(content) {
+  const lines = content.split('\n');
+  let start = -1;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (isNoteHeading(lines[i])) {
+      start = i + 1;
+      break;
+    }
+    if (isSeparator(lines[i])) {
+      const first = lines.slice(i + 1).find(line => line.trim());
+      if (first && NOTE_LINE.test(first.trim())) start = i + 1;
+      break;
+    }
+  }
+  if (start === -1) return { body: content, notes: [] };
+
+  const notes = [];
+  for (const line of lines.slice(start)) {
+    const text = line.trim();
+    if (!text) continue;
+    const match = NOTE_LINE.exec(text);
+    if (match) {
+      const [, bracket, sup, dotted, superscript, caret, note] = match;
+      notes.push({ id: noteNumber(bracket ?? sup ?? dotted ?? caret, superscript), text: note });
+    } else if (notes.length && notes.at(-1).id !== undefined && !/^[*-]\s/.test(text)) {
+      notes.at(-1).text += ` ${text}`;
+    } else {
+      notes.push({ text: text.replace(/^[*-]\s+/, '') });
+    }
+  }
+
+  // Drop the heading and any "***" that only introduced the notes
+  let end = start;
+  while (end > 0 && (!/[\p{L}\p{N}]/u.test(lines[end - 1]) || isNoteHeading(lines[end - 1]))) end--;
+  return { body: lines.slice(0, end).join('\n'), notes };
+}
+
+function chapterXhtml(chapter, number, language) {
+  const { body, notes } = extractFootnotes(chapter.content ?? '');
+  const ids = new Set(notes.map(note => note.id).filter(id => id !== undefined));
+  const linked = new Set();
+
+  // Markers become placeholders so escaping and Markdown leave them alone
+  const paragraphs = splitParagraphs(body).map(segment => {
+    if (segment.kind === 'blank') return null;
+    if (segment.kind === 'separator') {
+      return isSeparator(segment.raw) ? '<hr/>' : `<p class="break">${escapeXml(segment.raw.trim())}</p>`;
+    }
+    const marked = segment.body.replace(NOTE_MARKER, (marker, bracket, sup, caret, superscript) => {
+      const id = noteNumber(bracket ?? sup ?? caret, superscript);
+      return ids.has(id) ? `\u0000${id}\u0000` : marker;
+    });
+    const html = inline(marked).replace(/\u0000(\d+)\u0000/g, (_, digits) => {
+      const id = Number(digits);
+      const ref = linked.has(id) ? '' : ` id="ref${number}-${id}"`;
+      linked.add(id);
+      return `<a epub:type="noteref" href="#fn${number}-${id}"${ref}><sup>${id}</sup></a>`;
+    });
+    return `<p>${html}</p>`;
+  }).filter(Boolean);
+
+  const seen = new Set();
+  const asides = notes.map((note, i) => {
+    if (note.id === undefined || seen.has(note.id)) {
+      return `<aside epub:type="footnote" id="fn${number}-n${i + 1}"><p>${inline(note.text)}</p></aside>`;
+    }
+    seen.add(note.id);
+    const back = linked.has(note.id) ? ` <a href="#ref${number}-${note.id}">↩</a>` : '';
+    return `<aside epub:type="footnote" id="fn${number}-${note.id}"><p>${note.id}. ${inline(note.text)}${back}</p></aside>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(chapter.title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+<section epub:type="chapter">
+<h1>${escapeXml(chapter.title)}</h1>
+${paragraphs.join('\n')}
+${asides.length ? `<section epub:type="footnotes" class="notes">\n${asides.join('\n')}\n</section>` : ''}
+</section>
+</body>
+</html>
+`;
+}
+
+function navXhtml(chapters, title, language) {
+  const items = chapters
+    .map((chapter, i) => `<li><a href="${chapterFile(i)}">${escapeXml(chapter.title)}</a></li>`)
+    .join('\n');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(title)}</title>
+</head>
+<body>
+<nav epub:type="toc" id="toc">
+<h1>${escapeXml(title)}</h1>
+<ol>
+${items}
+</ol>
+</nav>
+</body>
+</html>
+`;
+}
+
+// EPUB 2 table of contents, still read by older devices
+function tocNcx(chapters, title, identifier) {
+  const points = chapters.map((chapter, i) => `<navPoint id="nav${i + 1}" playOrder="${i + 1}">
+<navLabel><text>${escapeXml(chapter.title)}</text></navLabel>
+<content src="${chapterFile(i)}"/>
+</navPoint>`).join('\n');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${identifier}"/></head>
+<docTitle><text>${escapeXml(title)}</text></docTitle>
+<navMap>
+${points}
+</navMap>
+</ncx>
+`;
+}
+
+function chapterFile(i) {
+  return `chapter-${String(i + 1).padStart(4, '0')}.xhtml`;
+}
+
+const CONTAINER = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+const STYLE = `body { font-family: serif; line-height: 1.5; }
+h1 { font-size: 1.4em; text-align: center; margin: 1em 0; }
+p { text-indent: 1.5em; margin: 0 0 .6em; }
+hr { border: none; text-align: center; margin: 1em 0; }
+hr::after { content: "* * *"; }
+p.break { text-indent: 0; text-align: center; }
+.notes { font-size: .85em; border-top: 1px solid #999; margin-top: 2em; }
+.notes p { text-indent: 0; }
+`;
+
+// chapters: [{ title, content }] in reading order. Returns the .epub bytes.
+export function buildEpub(chapters, { title, author, language = 'en', translator, cover, identifier = `urn:uuid:${randomUUID()}` }) {
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+    '<item id="style" href="style.css" media-type="text/css"/>',
+  ];
+  const spine = [];
+  const files = [
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: CONTAINER },
+    { name: 'OEBPS/nav.xhtml', data: navXhtml(chapters, title, language) },
+    { name: 'OEBPS/toc.ncx', data: tocNcx(chapters, title, identifier) },
+    { name: 'OEBPS/style.css', data: STYLE },
+  ];
+
+  if (cover) {
+    const ext = path.extname(cover.name).toLowerCase();
+    const mediaType = IMAGE_TYPES[ext];
+    if (!mediaType) throw new Error(`Unsupported cover image type: ${cover.name}`);
+    files.push({ name: `OEBPS/cover${ext}`, data: cover.data, store: true });
+    files.push({
+      name: 'OEBPS/cover.xhtml',
+      data: `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head><meta charset="utf-8"/><title>Cover</title></head>
+<body><section epub:type="cover"><img src="cover${ext}" alt="${escapeXml(title)}" style="max-width:100%"/></section></body>
+</html>
+`,
+    });
+    manifest.push(`<item id="cover-image" href="cover${ext}" media-type="${mediaType}" properties="cover-image"/>`);
+    manifest.push('<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>');
+    spine.push('<itemref idref="cover"/>');
+  }
+
+  chapters.forEach((chapter, i) => {
+    const id = `ch${i + 1}`;
+    files.push({ name: `OEBPS/${chapterFile(i)}`, data: chapterXhtml(chapter, i + 1, language) });
+    manifest.push(`<item id="${id}" href="${chapterFile(i)}" media-type="application/xhtml+xml"/>`);
+    spine.push(`<itemref idref="${id}"/>`);
+  });
+
+  const metadata = [
+    `<dc:identifier id="bookid">${escapeXml(identifier)}</dc:identifier>`,
+    `<dc:title>${escapeXml(title)}</dc:title>`,
+    `<dc:language>${escapeXml(language)}</dc:language>`,
+    `<meta property="dcterms:modified">${modified}</meta>`,
+  ];
+  if (author) metadata.push(`<dc:creator id="author">${escapeXml(author)}</dc:creator>`);
+  if (translator) {
+    metadata.push(`<dc:contributor id="translator">${escapeXml(translator)}</dc:contributor>`);
+    metadata.push('<meta refines="#translator" property="role" scheme="marc:relators">trl</meta>');
+  }
+  if (cover) metadata.push('<meta name="cover" content="cover-image"/>');
+
+  files.splice(1, 0, {
+    name: 'OEBPS/content.opf',
+    data: `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="bookid" xml:lang="${language}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata.join('\n')}
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine toc="ncx">
+${spine.join('\n')}
+</spine>
+</package>
+`,
+  });
+
+  return createZip(files);
+}
@@ -0,0 +1,67 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const GLOSSARY_DIR = path.join(__dirname, '../../glossary');
+
+// glossary/<novel>.json holds { "terms": [{ "source", "target", "notes" }] }
+// for English; other target languages use glossary/<novel>.<lang>.json.
+// A term may also list "aliases", other renderings that mean the same
+// character (used to normalise dialogue speakers).
+export function glossaryPath(name, targetLang = 'en') {
+  const suffix = targetLang === 'en' ? '' : `.${targetLang}`;
+  return path.join(GLOSSARY_DIR, `${name}${suffix}.json`);
+}
+
+// Returns null when the file does not exist, so callers can treat the
+// glossary as optional
+export async function loadGlossary(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  const data = JSON.parse(raw);
+  const terms = Array.isArray(data) ? data : data.terms;
+  if (!Array.isArray(terms)) {
+    throw new Error(`Invalid glossary ${file}: expected a "terms" array`);
+  }
+
+  for (const term of terms) {
+    if (typeof term.source !== 'string' || typeof term.target !== 'string' || !term.source || !term.target) {
+      throw new Error(`Invalid glossary entry in ${file}: ${JSON.stringify(term)}`);
+    }
+    if (term.aliases !== undefined && !(Array.isArray(term.aliases) && term.aliases.every(a => typeof a === 'string'))) {
+      throw new Error(`Invalid aliases in ${file} for ${term.source}: expected an array of strings`);
+    }
+  }
+
+  // Longest source first so "青云宗主" is matched before "青云宗"
+  terms.sort((a, b) => b.source.length - a.source.length);
+  return { file, terms };
+}
+
+export function termsIn(text, glossary) {
+  if (!glossary || !text) return [];
+  return glossary.terms.filter(term => text.includes(term.source));
+}
+
+export function glossaryInstruction(terms) {
+  if (!terms.length) return '';
+  const lines = terms.map(({ source, target, notes }) =>
+    notes ? `${source} → ${target} (${notes})` : `${source} → ${target}`
+  );
+  return `\n\nGlossary — always render these terms exactly as given:\n${lines.join('\n')}`;
+}
+
+// Terms whose source appears in the original but whose fixed rendering is
+// missing from the translation
+export function checkGlossary(source, translated, glossary) {
+  const output = (translated ?? '').toLowerCase();
+  return termsIn(source, glossary).filter(term => !output.includes(term.target.toLowerCase()));
+}
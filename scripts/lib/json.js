@@ -0,0 +1,61 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Parses a model's JSON reply, which often comes wrapped in a ```json fence
+export function parseModelJson(text) {
+  return JSON.parse(text.trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, ''));
+}
+
+// Runs the writes to one file one after another, so concurrent callers never
+// interleave or reorder them. `pending` settles once every queued write has.
+export class WriteQueue {
+  constructor() {
+    this.pending = Promise.resolve();
+  }
+
+  push(write) {
+    this.pending = this.pending.then(write);
+    return this.pending;
+  }
+}
+
+// An append-only JSON Lines file, one entry per line
+export class JsonlWriter extends WriteQueue {
+  constructor(file) {
+    super();
+    this.file = file;
+  }
+
+  append(entry) {
+    return this.push(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.appendFile(this.file, JSON.stringify(entry) + '\n');
+    });
+  }
+}
+
+// Every entry of a JSON Lines file in order, [] when there is no file
+export async function readJsonl(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (_) {
+      // A crash mid-write can leave a truncated last line; ignore it
+    }
+  }
+  return entries;
+}
+
+export async function writeJsonl(file, entries) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+}
@@ -0,0 +1,73 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { loadChains, runChain } from './providers/index.js';
+import { parseModelJson } from './json.js';
+
+// A judge is async ({ source, candidates: [{ id, text }], sourceLang,
+// targetLang }) => [{ id, score, notes }] with scores from 1 to 10. The
+// candidates arrive shuffled under letter ids, so a judge never sees which
+// configuration wrote what.
+
+function judgeInstruction(sourceLang, targetLang, ids) {
+  return `You are an expert literary translation reviewer. Below is a ${sourceLang.name} novel chapter followed by ${ids.length} candidate ${targetLang.name} translations labelled ${ids.join(', ')}. Score each candidate from 1 to 10 for faithfulness to the original (nothing added, dropped or changed), natural ${targetLang.name} prose, and keeping the original's tone, names and dialogue style. Be strict and use the whole scale. Reply with a JSON array only: [{"id": "A", "score": 7, "notes": "one short sentence"}].`;
+}
+
+function parseScores(text, ids) {
+  const parsed = parseModelJson(text);
+  const items = Array.isArray(parsed) ? parsed : parsed?.scores;
+  if (!Array.isArray(items)) throw new Error('expected a JSON array');
+
+  const scores = new Map();
+  for (const item of items) {
+    const score = Number(item?.score);
+    if (ids.includes(item?.id) && score >= 1 && score <= 10) {
+      scores.set(item.id, { id: item.id, score, notes: String(item.notes ?? '') });
+    }
+  }
+  const missing = ids.filter(id => !scores.has(id));
+  if (missing.length) throw new Error(`no score for ${missing.join(', ')}`);
+  return [...scores.values()];
+}
+
+// The built-in judge asks an LLM from a provider spec or chain
+// ("gemini:gemini-2.5-pro") to score every candidate in one request
+function llmJudge(chain, scheduler) {
+  return async ({ source, candidates, sourceLang, targetLang }) => {
+    const ids = candidates.map(c => c.id);
+    const contents = [`ORIGINAL:\n${source}`, ...candidates.map(c => `CANDIDATE ${c.id}:\n${c.text}`)].join('\n\n');
+    const { text } = await runChain(chain, {
+      system: judgeInstruction(sourceLang, targetLang, ids),
+      contents,
+      json: true,
+      sourceLang,
+      targetLang,
+    }, {
+      scheduler,
+      label: 'judge',
+      validate: output => {
+        try {
+          parseScores(output, ids);
+          return [];
+        } catch (err) {
+          return [{ code: 'invalid_json', detail: err.message }];
+        }
+      },
+    });
+    return parseScores(text, ids);
+  };
+}
+
+// --judge takes a provider spec for the built-in judge, or a .js/.mjs module
+// whose default export is a judge function
+export async function loadJudge(spec, { providers, scheduler } = {}) {
+  if (!spec || spec === 'off') return null;
+  if (/\.m?js$/.test(spec)) {
+    const module = await import(pathToFileURL(path.resolve(spec)).href);
+    if (typeof module.default !== 'function') throw new Error(`Judge module ${spec} must export a default function`);
+    return { name: path.basename(spec), judge: module.default };
+  }
+  const { chapters } = await loadChains({ config: providers, chapterChain: spec });
+  const chain = chapters.filter(provider => provider.instructions);
+  if (!chain.length) throw new Error(`Judge ${spec} needs an instruction-following provider`);
+  return { name: spec, judge: llmJudge(chain, scheduler) };
+}
@@ -0,0 +1,69 @@
+// Closing quotes and brackets that belong to the sentence they end
+const CJK_CLOSERS = `"'”’」』）)》`;
+const LATIN_CLOSERS = `"'”’»)`;
+
+// `sentenceEnd` is a zero-width split point after a full sentence, so
+// splitting never drops characters. `script` matches the letters of the
+// language and `density` is roughly how many characters it needs for what
+// English says in one, which gives the expected length ratio of a translation.
+// `spaced` languages put a space between sentences.
+export const LANGUAGES = {
+  zh: {
+    name: 'Chinese',
+    google: 'zh-CN',
+    script: /\p{Script=Han}/gu,
+    density: 0.3,
+    spaced: false,
+    sentenceEnd: new RegExp(`(?<=[。！？!?…][${CJK_CLOSERS}]*)(?![${CJK_CLOSERS}])`, 'u'),
+  },
+  ja: {
+    name: 'Japanese',
+    google: 'ja',
+    script: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+    density: 0.45,
+    spaced: false,
+    sentenceEnd: new RegExp(`(?<=[。｡！？!?…][${CJK_CLOSERS}]*)(?![${CJK_CLOSERS}])`, 'u'),
+  },
+  ko: {
+    name: 'Korean',
+    google: 'ko',
+    script: /\p{Script=Hangul}/gu,
+    density: 0.6,
+    spaced: true,
+    sentenceEnd: new RegExp(`(?<=[.!?。…][${LATIN_CLOSERS}]*)(?=\\s)`, 'u'),
+  },
+  en: {
+    name: 'English',
+    google: 'en',
+    script: /\p{Script=Latin}/gu,
+    density: 1,
+    spaced: true,
+    sentenceEnd: new RegExp(`(?<=[.!?…][${LATIN_CLOSERS}]*)(?=\\s)`, 'u'),
+  },
+  es: {
+    name: 'Spanish',
+    google: 'es',
+    script: /\p{Script=Latin}/gu,
+    density: 1.15,
+    spaced: true,
+    sentenceEnd: new RegExp(`(?<=[.!?…][${LATIN_CLOSERS}]*)(?=\\s)`, 'u'),
+  },
+};
+
+export const DEFAULT_SOURCE_LANG = 'zh';
+export const DEFAULT_TARGET_LANG = 'en';
+
+export function getLanguage(code) {
+  const language = LANGUAGES[code];
+  if (!language) {
+    throw new Error(`Unsupported language "${code}" (expected one of ${Object.keys(LANGUAGES).join(', ')})`);
+  }
+  return { code, ...language };
+}
+
+// zh→en keeps the historical "<name>_translated_..." file names; any other
+// pair gets its own prefix, e.g. "16555.ja-es", so merges never mix them
+export function languagePrefix(name, source, target) {
+  if (source.code === DEFAULT_SOURCE_LANG && target.code === DEFAULT_TARGET_LANG) return name;
+  return `${name}.${source.code}-${target.code}`;
+}
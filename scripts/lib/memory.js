@@ -0,0 +1,150 @@
+import { createHash } from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JsonlWriter, readJsonl } from './json.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MEMORY_DIR = path.join(__dirname, '../../memory');
+
+export const MEMORY_KINDS = ['chapter', 'paragraph', 'title'];
+
+// One memory per language pair, shared by every novel so overlapping
+// editions reuse each other's translations
+export function memoryPath(sourceCode, targetCode) {
+  return path.join(MEMORY_DIR, `${sourceCode}-${targetCode}.jsonl`);
+}
+
+export function shortHash(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+function normalise(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function segmentKey(kind, source) {
+  return shortHash(`${kind}\n${normalise(source)}`);
+}
+
+// Glossary terms that occur in a segment, hashed, so a glossary edit only
+// invalidates the segments it touches
+export function termsVersion(terms) {
+  if (!terms?.length) return '';
+  return shortHash(terms.map(t => `${t.source}→${t.target}`).sort().join('\n'));
+}
+
+function bigrams(text) {
+  const counts = new Map();
+  const chars = [...normalise(text)];
+  for (let i = 0; i < chars.length - 1; i++) {
+    const pair = chars[i] + chars[i + 1];
+    counts.set(pair, (counts.get(pair) ?? 0) + 1);
+  }
+  return counts;
+}
+
+// Sørensen–Dice over character bigrams, which works for text with or
+// without spaces: 1 for identical text, 0 for nothing in common
+export function diceSimilarity(a, b) {
+  const x = bigrams(a);
+  const y = bigrams(b);
+  let size = 0;
+  let shared = 0;
+  for (const n of x.values()) size += n;
+  for (const n of y.values()) size += n;
+  if (!size) return normalise(a) === normalise(b) ? 1 : 0;
+  for (const [pair, n] of x) shared += Math.min(n, y.get(pair) ?? 0);
+  return (2 * shared) / size;
+}
+
+// An append-only JSONL file of { key, kind, source, translation, model,
+// prompt, terms, date }. `prompt` is a hash of the instruction the segment was
+// translated with and `terms` of the glossary entries it used; an entry only
+// matches when both are unchanged. Later lines win over earlier ones.
+export class TranslationMemory {
+  constructor(file) {
+    this.file = file;
+    this.entries = new Map();
+    this.log = new JsonlWriter(file);
+    this.hits = { exact: 0, fuzzy: 0 };
+  }
+
+  static async open(file) {
+    const memory = new TranslationMemory(file);
+    for (const entry of await readJsonl(file)) memory.entries.set(entry.key, entry);
+    return memory;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  lookup(kind, source, { prompt, terms = '' }) {
+    const entry = this.entries.get(segmentKey(kind, source));
+    if (!entry || entry.prompt !== prompt || entry.terms !== terms) return null;
+    this.hits.exact++;
+    return entry;
+  }
+
+  // The most similar entry of the same kind and version at or above
+  // `threshold`. Dice can only reach the threshold when the lengths are
+  // close, which rules most entries out before any bigrams are counted.
+  fuzzy(kind, source, { prompt, terms = '' }, threshold) {
+    const length = normalise(source).length;
+    const minRatio = threshold / (2 - threshold);
+    let best = null;
+    for (const entry of this.entries.values()) {
+      if (entry.kind !== kind || entry.prompt !== prompt || entry.terms !== terms) continue;
+      const ratio = Math.min(length, entry.length) / Math.max(length, entry.length, 1);
+      if (ratio < minRatio) continue;
+      const score = diceSimilarity(source, entry.source);
+      if (score >= threshold && (!best || score > best.score)) best = { entry, score };
+    }
+    if (best) this.hits.fuzzy++;
+    return best;
+  }
+
+  add(kind, source, translation, { model, prompt, terms = '' }) {
+    const entry = {
+      key: segmentKey(kind, source),
+      kind,
+      source,
+      length: normalise(source).length,
+      translation,
+      model,
+      prompt,
+      terms,
+      date: new Date().toISOString(),
+    };
+    this.entries.set(entry.key, entry);
+    return this.log.append(entry);
+  }
+}
+
+// The entries a lookup can still see: the last line for each key
+export function currentEntries(entries) {
+  return [...new Map(entries.map(entry => [entry.key, entry])).values()];
+}
+
+// Drops the entries matching every given filter (all of them with `all`)
+// and compacts the rest. Filters apply to the current line for each key,
+// and a match removes every line for that key, so invalidating never
+// brings back a translation a newer line had replaced.
+export function invalidateEntries(entries, { kind, model, prompt, before, containing, all }) {
+  if (!all && [kind, model, prompt, before, containing].every(value => value === undefined)) {
+    throw new Error('invalidate needs a filter (--kind, --model, --prompt, --before, --containing) or --all');
+  }
+  if (kind && !MEMORY_KINDS.includes(kind)) throw new Error(`Unknown kind "${kind}" (expected ${MEMORY_KINDS.join(', ')})`);
+  const cutoff = before && new Date(before);
+  if (cutoff && isNaN(cutoff)) throw new Error(`Invalid --before date: ${before}`);
+
+  const matches = entry => all || (
+    (!kind || entry.kind === kind) &&
+    (!model || entry.model === model) &&
+    (!prompt || entry.prompt === prompt) &&
+    (!cutoff || new Date(entry.date) < cutoff) &&
+    (!containing || entry.source.includes(containing) || entry.translation.includes(containing))
+  );
+  return currentEntries(entries).filter(entry => !matches(entry));
+}
@@ -0,0 +1,165 @@
+import { promises as fs } from 'fs';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { listResultFiles } from './results.js';
+import { STATUS } from './report.js';
+
+const run = promisify(execFile);
+
+export const MERGE_POLICIES = ['newest', 'primary'];
+
+const MACHINE_TRANSLATION = 'google translate';
+
+// Last commit time of a file, so "newest" means the same in CI (where every
+// checkout has a fresh mtime) as locally; uncommitted files use their mtime
+async function fileTime(file) {
+  try {
+    const { stdout } = await run('git', ['log', '-1', '--format=%ct', '--', file]);
+    if (stdout.trim()) return parseInt(stdout.trim()) * 1000;
+  } catch {
+    // Not a git checkout
+  }
+  return (await fs.stat(file)).mtimeMs;
+}
+
+// Reads every range file of a prefix. Files that are not JSON arrays are
+// reported and left out; a length that disagrees with the name is reported
+// and the chapters are numbered from the start of the range.
+export async function loadRanges(prefix, dir) {
+  const ranges = [];
+  const problems = [];
+
+  for (const file of await listResultFiles(prefix, dir)) {
+    let chapters;
+    try {
+      chapters = JSON.parse(await fs.readFile(file.path, 'utf8'));
+    } catch (error) {
+      problems.push({ file: file.path, problem: `unreadable: ${error.message}` });
+      continue;
+    }
+    if (!Array.isArray(chapters)) {
+      problems.push({ file: file.path, problem: 'not a JSON array' });
+      continue;
+    }
+    const expected = file.end - file.start + 1;
+    if (chapters.length !== expected) {
+      problems.push({ file: file.path, problem: `${chapters.length} chapters for a range of ${expected}` });
+    }
+    ranges.push({ ...file, chapters, time: await fileTime(file.path) });
+  }
+
+  return { ranges, problems };
+}
+
+function usable(chapter) {
+  if (!chapter?.content) return false;
+  return chapter.meta?.status !== STATUS.FAILED && chapter.meta?.status !== STATUS.FLAGGED;
+}
+
+// The model that translated most chapters, machine translation aside
+export function mostUsedModel(ranges) {
+  const counts = new Map();
+  for (const { chapters } of ranges) {
+    for (const { model } of chapters) {
+      if (model && model !== MACHINE_TRANSLATION) counts.set(model, (counts.get(model) ?? 0) + 1);
+    }
+  }
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+// Higher ranks win. A failed or flagged chapter never replaces a usable one;
+// "primary" then prefers the primary model and any model over machine
+// translation, and both policies fall back to the newest file.
+function rank(candidate, policy, primary) {
+  const { chapter, range } = candidate;
+  const ranks = [usable(chapter) ? 1 : 0];
+  if (policy === 'primary') {
+    ranks.push(chapter.model === primary ? 1 : 0);
+    ranks.push(chapter.model === MACHINE_TRANSLATION ? 0 : 1);
+  }
+  ranks.push(range.time, range.start);
+  return ranks;
+}
+
+function compareRanks(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+// [3, 4, 5, 9] -> [[3, 5], [9, 9]]
+export function toRanges(indexes) {
+  const result = [];
+  for (const index of indexes) {
+    const last = result.at(-1);
+    if (last && last[1] === index - 1) last[1] = index;
+    else result.push([index, index]);
+  }
+  return result;
+}
+
+// Picks one chapter per index. `total` extends the gap check past the last
+// range file. `chapters` is dense, like the files it is merged from; gaps
+// are only listed in `gaps`, and `byIndex` maps chapter numbers to chapters.
+export function mergeRanges(ranges, { policy = 'newest', primary, total } = {}) {
+  if (!MERGE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown merge policy "${policy}" (expected ${MERGE_POLICIES.join(', ')})`);
+  }
+
+  const candidates = new Map();
+  for (const range of ranges) {
+    range.chapters.forEach((chapter, i) => {
+      const index = range.start + i;
+      if (!candidates.has(index)) candidates.set(index, []);
+      candidates.get(index).push({ chapter, range });
+    });
+  }
+
+  const last = Math.max(total ?? 0, ...candidates.keys(), 0);
+  const chapters = [];
+  const byIndex = new Map();
+  const unusable = [];
+  const gaps = [];
+  const overlaps = [];
+  const used = new Map(ranges.map(range => [range.path, 0]));
+
+  for (let index = 1; index <= last; index++) {
+    const options = candidates.get(index);
+    if (!options) {
+      gaps.push(index);
+      continue;
+    }
+    const best = options.reduce((a, b) => compareRanks(rank(b, policy, primary), rank(a, policy, primary)) > 0 ? b : a);
+    chapters.push(best.chapter);
+    byIndex.set(index, best.chapter);
+    if (!usable(best.chapter)) unusable.push(index);
+    used.set(best.range.path, used.get(best.range.path) + 1);
+    if (options.length > 1) {
+      overlaps.push({ index, files: options.map(o => o.range.path), chosen: best.range.path });
+    }
+  }
+
+  return {
+    chapters,
+    byIndex,
+    gaps: toRanges(gaps),
+    overlaps: groupOverlaps(overlaps),
+    unusable: toRanges(unusable),
+    used,
+  };
+}
+
+// Consecutive chapters with the same files and the same winner become one entry
+function groupOverlaps(overlaps) {
+  const groups = [];
+  for (const { index, files, chosen } of overlaps) {
+    const last = groups.at(-1);
+    if (last && last.end === index - 1 && last.chosen === chosen && last.files.join() === files.join()) {
+      last.end = index;
+    } else {
+      groups.push({ start: index, end: index, files, chosen });
+    }
+  }
+  return groups;
+}
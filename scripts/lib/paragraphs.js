@@ -0,0 +1,48 @@
+// Splits a chapter into one segment per line, keeping every character so
+// joinParagraphs() can rebuild the exact layout. Lines with letters or digits
+// become numbered `text` paragraphs; blank lines and decorations such as
+// "------" are kept verbatim.
+export function splitParagraphs(content) {
+  let id = 0;
+  return content.split('\n').map(line => {
+    const [, lead, body, trail] = /^(\s*)(.*?)(\s*)$/s.exec(line);
+    if (!body) return { kind: 'blank', raw: line };
+    if (!/[\p{L}\p{N}]/u.test(body)) return { kind: 'separator', raw: line };
+    return { kind: 'text', id: ++id, lead, body, trail };
+  });
+}
+
+export function textParagraphs(segments) {
+  return segments.filter(segment => segment.kind === 'text');
+}
+
+// `translations` maps paragraph id → translated text; paragraphs without a
+// translation keep their source
+export function joinParagraphs(segments, translations) {
+  return segments.map(segment => {
+    if (segment.kind !== 'text') return segment.raw;
+    const { lead, body, trail } = segment;
+    return `${lead}${translations.get(segment.id) ?? body}${trail}`;
+  }).join('\n');
+}
+
+// Groups paragraphs into batches of at most `maxChars` source characters
+// (a longer paragraph gets a batch of its own)
+export function batchParagraphs(paragraphs, maxChars) {
+  const batches = [];
+  let current = [];
+  let size = 0;
+
+  for (const paragraph of paragraphs) {
+    if (current.length && size + paragraph.body.length > maxChars) {
+      batches.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(paragraph);
+    size += paragraph.body.length;
+  }
+  if (current.length) batches.push(current);
+
+  return batches;
+}
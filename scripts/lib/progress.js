@@ -0,0 +1,97 @@
+const REDRAW_MS = 1_000;
+const LOG_EVERY_MS = 30_000;
+
+function formatCount(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return `${n}`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60_000);
+  if (minutes < 1) return '<1m';
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// Chapters done/total, requests in flight, ETA, tokens and chapters per
+// model. On a terminal it is one line redrawn in place, with other output
+// printed above it; in CI (or when piped) it is a plain line every 30s.
+export class Progress {
+  constructor({ total, done = 0, scheduler, stream = process.stderr, interactive = Boolean(stream.isTTY) && !process.env.CI }) {
+    this.total = total;
+    this.done = done;
+    this.initial = done;
+    this.scheduler = scheduler;
+    this.stream = stream;
+    this.interactive = interactive;
+    this.models = new Map();
+    this.console = null;
+  }
+
+  start() {
+    this.startedAt = Date.now();
+    if (this.interactive) {
+      this.hookConsole();
+      this.timer = setInterval(() => this.draw(), REDRAW_MS);
+    } else {
+      this.timer = setInterval(() => console.log(`Progress: ${this.line()}`), LOG_EVERY_MS);
+    }
+    this.timer.unref();
+    return this;
+  }
+
+  // `source` is the model that produced the chapter, or 'failed'
+  tick(source) {
+    this.done++;
+    this.models.set(source, (this.models.get(source) ?? 0) + 1);
+    if (this.interactive) this.draw();
+  }
+
+  line() {
+    const parts = [`${this.done}/${this.total} chapters`];
+    if (this.scheduler) parts.push(`${this.scheduler.inFlight} in flight`);
+
+    const finished = this.done - this.initial;
+    const remaining = this.total - this.done;
+    if (finished && remaining) {
+      parts.push(`ETA ${formatDuration((Date.now() - this.startedAt) / finished * remaining)}`);
+    }
+    if (this.scheduler?.tokens) parts.push(`${formatCount(this.scheduler.tokens)} tokens`);
+    if (this.models.size) {
+      parts.push([...this.models].map(([model, n]) => `${model} ${n}`).join(', '));
+    }
+    return parts.join(' · ');
+  }
+
+  draw() {
+    const width = this.stream.columns || 120;
+    this.stream.write(`\r\x1b[2K${this.line().slice(0, width - 1)}`);
+  }
+
+  clear() {
+    this.stream.write('\r\x1b[2K');
+  }
+
+  // Clears the progress line before anything else is printed and redraws it after
+  hookConsole() {
+    this.console = { log: console.log, warn: console.warn, error: console.error };
+    for (const method of Object.keys(this.console)) {
+      console[method] = (...args) => {
+        this.clear();
+        this.console[method](...args);
+        this.draw();
+      };
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    if (this.console) {
+      this.clear();
+      Object.assign(console, this.console);
+      this.console = null;
+    }
+    console.log(`Progress: ${this.line()}`);
+  }
+}
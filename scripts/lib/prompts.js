@@ -0,0 +1,71 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PROMPTS_DIR = path.join(__dirname, '../../prompts');
+export const DEFAULT_PROFILE = 'default';
+
+// Every profile can set these; anything a preset leaves out comes from
+// prompts/default.json
+export const PROMPT_KINDS = ['chapter', 'context', 'titles', 'title', 'dialogue'];
+
+// {{source}} / {{target}} are language names, {{glossary}} and {{context}}
+// expand to the glossary and story-so-far blocks (or nothing), and
+// {{narration}} is the dialogue mode's narration rule
+const PLACEHOLDERS = ['source', 'target', 'glossary', 'context', 'narration'];
+
+// prompts/novels.json maps novel names to profiles, e.g. { "16555": "xianxia" }
+const NOVEL_PROFILES = path.join(PROMPTS_DIR, 'novels.json');
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+  }
+}
+
+// --profile wins, then the novel's entry in prompts/novels.json, then default
+export async function profileName(novel, option) {
+  if (option) return option;
+  const mapping = await readJson(NOVEL_PROFILES);
+  return mapping?.[novel] ?? DEFAULT_PROFILE;
+}
+
+function profileFile(nameOrFile) {
+  return nameOrFile.endsWith('.json') ? nameOrFile : path.join(PROMPTS_DIR, `${nameOrFile}.json`);
+}
+
+// A profile file holds { "name", "version", "description", "prompts": { kind:
+// template } }. Returns it with every kind filled in and `id` set to
+// "<name>@<version>", the tag recorded on each chapter.
+export async function loadProfile(nameOrFile) {
+  const file = profileFile(nameOrFile);
+  const profile = await readJson(file);
+  if (!profile) throw new Error(`Prompt profile not found: ${file}`);
+  if (typeof profile.name !== 'string' || !profile.name) throw new Error(`Prompt profile ${file} needs a "name"`);
+  if (!Number.isInteger(profile.version) || profile.version < 1) throw new Error(`Prompt profile ${file} needs an integer "version"`);
+
+  for (const [kind, template] of Object.entries(profile.prompts ?? {})) {
+    if (!PROMPT_KINDS.includes(kind)) throw new Error(`Unknown prompt "${kind}" in ${file} (expected ${PROMPT_KINDS.join(', ')})`);
+    if (typeof template !== 'string' || !template.trim()) throw new Error(`Prompt "${kind}" in ${file} must be a non-empty string`);
+    for (const [, placeholder] of template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+      if (!PLACEHOLDERS.includes(placeholder)) {
+        throw new Error(`Unknown placeholder {{${placeholder}}} in prompt "${kind}" of ${file} (expected ${PLACEHOLDERS.join(', ')})`);
+      }
+    }
+  }
+
+  const base = profile.name === DEFAULT_PROFILE ? {} : (await loadProfile(DEFAULT_PROFILE)).prompts;
+  const prompts = { ...base, ...profile.prompts };
+  const missing = PROMPT_KINDS.filter(kind => !prompts[kind]);
+  if (missing.length) throw new Error(`Prompt profile ${file} is missing ${missing.join(', ')}`);
+  return { ...profile, prompts, file, id: `${profile.name}@${profile.version}` };
+}
+
+export function renderPrompt(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, placeholder) => values[placeholder] ?? '');
+}
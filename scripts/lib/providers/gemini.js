@@ -0,0 +1,87 @@
+import { GoogleGenAI } from "@google/genai";
+
+// Shared client: every model call goes through ai.models.generateContent,
+// so tests can replace that one method with a stub
+export const ai = new GoogleGenAI({});
+
+export const safetySettings = [
+  {
+    category: "HARM_CATEGORY_HARASSMENT",
+    threshold: "BLOCK_NONE",
+  },
+  {
+    category: "HARM_CATEGORY_HATE_SPEECH",
+    threshold: "BLOCK_NONE",
+  },
+  {
+    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+    threshold: "BLOCK_NONE",
+  },
+  {
+    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+    threshold: "BLOCK_NONE",
+  },
+  {
+    category: "HARM_CATEGORY_CIVIC_INTEGRITY",
+    threshold: "BLOCK_NONE",
+  }
+];
+
+// Requests per minute for each model; free-tier limits unless --rpm says otherwise
+export const MODEL_RPM = {
+  "gemini-2.5-flash-lite": 15,
+  "gemini-2.5-flash": 10,
+  "gemini-2.0-flash": 15,
+};
+
+// Finish reasons for a reply that was withheld even with BLOCK_NONE
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+// Thinking tokens are billed as output
+function tokenUsage(metadata) {
+  if (!metadata) return undefined;
+  return {
+    input: metadata.promptTokenCount ?? 0,
+    output: (metadata.candidatesTokenCount ?? 0) + (metadata.thoughtsTokenCount ?? 0),
+  };
+}
+
+export function createGeminiProvider({ model }) {
+  if (!model) throw new Error('Gemini provider needs a model, e.g. gemini:gemini-2.5-flash');
+
+  return {
+    id: model,
+    model,
+    instructions: true,
+
+    async generate({ system, contents, json = false }) {
+      const response = await ai.models.generateContent({
+        model,
+        contents,
+        config: {
+          systemInstruction: system,
+          ...(json && { responseMimeType: 'application/json' }),
+          safetySettings: safetySettings,
+        },
+      });
+
+      // Blocked and cut-off replies carry a reason the caller can act on
+      // (reason 'blocked' or 'truncated', plus Gemini's finishReason)
+      const usage = tokenUsage(response?.usageMetadata);
+      const blockReason = response?.promptFeedback?.blockReason;
+      const finishReason = response?.candidates?.[0]?.finishReason;
+      if (blockReason || BLOCKED_FINISH_REASONS.includes(finishReason)) {
+        const why = blockReason ? `prompt blocked (${blockReason})` : `reply blocked (${finishReason})`;
+        throw Object.assign(new Error(`${model}: ${why}`), { reason: 'blocked', finishReason: blockReason ?? finishReason, usage });
+      }
+      if (finishReason === 'MAX_TOKENS') {
+        throw Object.assign(new Error(`${model}: reply cut off at the output token limit`), { reason: 'truncated', finishReason, usage });
+      }
+
+      if (response?.text) {
+        return { text: response.text, usage };
+      }
+      throw new Error('Empty response from API');
+    },
+  };
+}
@@ -0,0 +1,115 @@
+import axios from 'axios';
+import { getLanguage, DEFAULT_SOURCE_LANG, DEFAULT_TARGET_LANG } from '../languages.js';
+import { splitParagraphs, textParagraphs, joinParagraphs, batchParagraphs } from '../paragraphs.js';
+
+const ENDPOINT = 'https://translate.googleapis.com/translate_a/single';
+const MAX_RETRIES = 3;
+const MAX_CHUNK_SIZE = 1000;
+
+// Only used for a single paragraph longer than one request allows
+function chunkContentIntelligently(content, sourceLang, maxChunkSize = MAX_CHUNK_SIZE) {
+  const sentences = content.split(sourceLang.sentenceEnd);
+  const chunks = [];
+  let currentChunk = '';
+
+  for (const sentence of sentences) {
+    if ((currentChunk + sentence).length > maxChunkSize && currentChunk) {
+      chunks.push(currentChunk.trim());
+      currentChunk = sentence;
+    } else {
+      currentChunk += sentence;
+    }
+  }
+
+  if (currentChunk.trim()) {
+    chunks.push(currentChunk.trim());
+  }
+
+  return chunks;
+}
+
+async function translateChunk(text, sourceLang, targetLang) {
+  const params = new URLSearchParams({
+    client: 'gtx',
+    sl: sourceLang.google,
+    tl: targetLang.google,
+    hl: targetLang.google,
+    ie: 'UTF-8',
+    oe: 'UTF-8',
+    dt: 't',
+    q: text,
+  });
+
+  const { data } = await axios.get(ENDPOINT, {
+    params,
+    timeout: 15_000,
+    headers: { 'User-Agent': 'Mozilla/5.0' },
+  });
+  return data[0].map(seg => seg[0]).join('');
+}
+
+async function translateParagraph(body, sourceLang, targetLang) {
+  if (body.length <= MAX_CHUNK_SIZE) {
+    return (await translateChunk(body, sourceLang, targetLang)).trim();
+  }
+  const parts = [];
+  for (const chunk of chunkContentIntelligently(body, sourceLang)) {
+    parts.push((await translateChunk(chunk, sourceLang, targetLang)).trim());
+  }
+  return parts.join(targetLang.spaced ? ' ' : '');
+}
+
+// Several paragraphs go out as one newline-separated request; if the reply
+// does not come back with the same number of lines, each is sent on its own
+async function translateBatch(batch, sourceLang, targetLang) {
+  if (batch.length > 1) {
+    const reply = await translateChunk(batch.map(p => p.body).join('\n'), sourceLang, targetLang);
+    const lines = reply.split('\n').map(line => line.trim());
+    if (lines.length === batch.length && lines.every(Boolean)) return lines;
+  }
+
+  const lines = [];
+  for (const paragraph of batch) {
+    lines.push(await translateParagraph(paragraph.body, sourceLang, targetLang));
+  }
+  return lines;
+}
+
+// Unofficial translate.googleapis.com endpoint. It cannot follow a system
+// prompt, so only the paragraph text is sent; indentation, blank lines and
+// separator lines are put back around the translations exactly as they were.
+export function createGoogleProvider() {
+  return {
+    id: 'google translate',
+    model: 'google translate',
+    instructions: false,
+
+    async generate({
+      contents,
+      sourceLang = getLanguage(DEFAULT_SOURCE_LANG),
+      targetLang = getLanguage(DEFAULT_TARGET_LANG),
+    }) {
+      const segments = splitParagraphs(contents);
+      let lastError;
+
+      for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        try {
+          const translations = new Map();
+          for (const batch of batchParagraphs(textParagraphs(segments), MAX_CHUNK_SIZE)) {
+            const lines = await translateBatch(batch, sourceLang, targetLang);
+            batch.forEach((paragraph, i) => translations.set(paragraph.id, lines[i]));
+          }
+          return { text: joinParagraphs(segments, translations) };
+        } catch (err) {
+          lastError = err;
+          console.warn(`Google attempt ${attempt}/${MAX_RETRIES} failed: ${err.message}`);
+          if (attempt < MAX_RETRIES) {
+            await new Promise(r => setTimeout(r, 1000 * attempt));
+          }
+        }
+      }
+
+      throw lastError;
+    },
+  };
+}
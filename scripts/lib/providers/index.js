@@ -0,0 +1,152 @@
+import { promises as fs } from 'fs';
+import { createGeminiProvider } from './gemini.js';
+import { createGoogleProvider } from './google.js';
+import { createOpenAIProvider } from './openai.js';
+import { isRateLimitError } from '../scheduler.js';
+
+export { ai, safetySettings, MODEL_RPM } from './gemini.js';
+
+// A provider is { id, model, instructions, generate(request) } where request is
+// { system, contents, json, sourceLang, targetLang } (languages from languages.js).
+// `id` is what the scheduler rate-limits on and what results record as `model`;
+// `instructions` is false for plain machine translation that ignores `system`.
+// generate() resolves to { text, usage } where usage is { input, output }
+// tokens, or undefined when the provider does not report it.
+const factories = {
+  gemini: createGeminiProvider,
+  google: createGoogleProvider,
+  openai: createOpenAIProvider,
+};
+
+export function registerProvider(type, factory) {
+  factories[type] = factory;
+}
+
+// Batches of titles go to the instruction-following providers of the `titles`
+// chain; titles a batch could not place walk the whole chain in order
+export const DEFAULT_CHAINS = {
+  titles: ['gemini:gemini-2.0-flash', 'google'],
+  chapters: ['gemini:gemini-2.5-flash-lite', 'gemini:gemini-2.5-flash', 'google'],
+  context: ['gemini:gemini-2.5-flash-lite'],
+};
+
+// "gemini:gemini-2.5-flash", "google", "openai:qwen2.5:14b", or the name of
+// an entry in the config file's "providers" section
+export function createProvider(spec, named = {}) {
+  if (named[spec]) {
+    const { type, ...options } = named[spec];
+    if (!factories[type]) throw new Error(`Unknown provider type "${type}" for ${spec}`);
+    return factories[type](options);
+  }
+
+  const sep = spec.indexOf(':');
+  const type = sep === -1 ? spec : spec.slice(0, sep);
+  const model = sep === -1 ? undefined : spec.slice(sep + 1);
+  if (!factories[type]) throw new Error(`Unknown provider "${spec}"`);
+  return factories[type]({ model });
+}
+
+// Config file shape:
+// {
+//   "providers": { "local": { "type": "openai", "model": "qwen2.5:14b", "baseUrl": "http://localhost:11434/v1" } },
+//   "chains": { "chapters": ["local", "google"] }
+// }
+// Comma-separated --title-chain / --chapter-chain flags override the file.
+export async function loadChains({ config, titleChain, chapterChain, contextChain } = {}) {
+  const file = config ? JSON.parse(await fs.readFile(config, 'utf8')) : {};
+  const named = file.providers ?? {};
+  const specs = { ...DEFAULT_CHAINS, ...file.chains };
+  if (titleChain) specs.titles = titleChain.split(',');
+  if (chapterChain) specs.chapters = chapterChain.split(',');
+  if (contextChain) specs.context = contextChain.split(',');
+
+  const chains = {};
+  for (const [kind, list] of Object.entries(specs)) {
+    if (!list.length) throw new Error(`Provider chain "${kind}" is empty`);
+    chains[kind] = list.map(spec => createProvider(spec.trim(), named));
+  }
+  return chains;
+}
+
+function isInternalError(err) {
+  return err?.status >= 500 || /internal/i.test(err?.message ?? '');
+}
+
+// Coarse failure categories used in run reports
+export function failureReason(err) {
+  if (err?.reason) return err.reason;
+  if (isRateLimitError(err)) return 'rate_limit';
+  if (isInternalError(err)) return 'internal';
+  if (err?.code === 'ECONNABORTED' || /timeout|timed out/i.test(err?.message ?? '')) return 'timeout';
+  if (['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(err?.code)) return 'network';
+  if (/empty response/i.test(err?.message ?? '')) return 'empty';
+  return 'error';
+}
+
+// Tries each provider in turn. Internal (5xx) errors get one retry on the
+// same provider before moving on; any other failure moves on straight away.
+// `request` may be a function of the provider, for prompts that differ
+// between LLMs and plain machine translation.
+// `validate` returns a list of issues for a reply; a reply with issues is
+// treated like an error and the next provider is tried. Every call is
+// recorded in `attempts`. When the whole chain fails, the error carries
+// those attempts and, if any reply was only rejected, the last such reply
+// as `rejected` so the caller can still keep it.
+// `stopOn` lists failure reasons the caller recovers from itself (a blocked
+// or truncated reply it will split); they end the chain straight away.
+export async function runChain(chain, request, { scheduler, label = 'request', validate, stopOn = [] } = {}) {
+  const attempts = [];
+  let lastError;
+  let rejected;
+
+  for (const provider of chain) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const started = Date.now();
+      try {
+        const call = () => provider.generate(typeof request === 'function' ? request(provider) : request);
+        const result = scheduler ? await scheduler.run(provider.id, call) : await call();
+        const issues = validate?.(result.text, provider) ?? [];
+        if (issues.length) {
+          rejected = { ...result, provider, issues };
+          throw Object.assign(
+            new Error(`Reply rejected: ${issues.map(i => i.code).join(', ')}`),
+            { reason: 'quality', issues, usage: result.usage }
+          );
+        }
+        attempts.push({ model: provider.id, ok: true, ms: Date.now() - started, ...(result.usage && { tokens: result.usage }) });
+        return { ...result, provider, attempts };
+      } catch (err) {
+        // An exhausted budget ends the chain instead of falling back
+        if (err.reason === 'budget') {
+          err.attempts = attempts;
+          throw err;
+        }
+        lastError = err;
+        attempts.push({
+          model: provider.id,
+          ok: false,
+          reason: failureReason(err),
+          ...(err.issues && { issues: err.issues.map(i => i.code) }),
+          ms: Date.now() - started,
+          ...(err.finishReason && { finishReason: err.finishReason }),
+          ...(err.usage && { tokens: err.usage }),
+        });
+        if (stopOn.includes(err.reason)) {
+          console.warn(`${provider.id} on ${label}: ${err.message}`);
+          Object.assign(err, { attempts, provider });
+          throw err;
+        }
+        if (attempt === 0 && isInternalError(err)) {
+          console.warn(`${provider.id} internal error on ${label}, retrying once…`);
+          continue;
+        }
+        console.warn(`${provider.id} failed on ${label}: ${err.message}`);
+        break;
+      }
+    }
+  }
+
+  lastError.attempts = attempts;
+  lastError.rejected = rejected;
+  throw lastError;
+}
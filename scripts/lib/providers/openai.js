@@ -0,0 +1,61 @@
+import axios from 'axios';
+
+// Any server speaking the OpenAI chat completions API: OpenAI itself,
+// llama.cpp, Ollama, vLLM, LM Studio...
+export function createOpenAIProvider({
+  model,
+  baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  apiKey = process.env.OPENAI_API_KEY,
+  timeout = 300_000,
+}) {
+  if (!model) throw new Error('OpenAI-compatible provider needs a model, e.g. openai:gpt-4o-mini');
+
+  return {
+    id: model,
+    model,
+    instructions: true,
+
+    // `json` is not forwarded: response_format support varies between
+    // servers, and the prompts already ask for JSON explicitly
+    async generate({ system, contents }) {
+      const messages = [];
+      if (system) messages.push({ role: 'system', content: system });
+      messages.push({ role: 'user', content: contents });
+
+      try {
+        const { data } = await axios.post(
+          `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+          { model, messages },
+          {
+            timeout,
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+          }
+        );
+
+        const choice = data?.choices?.[0];
+        const usage = data?.usage && { input: data.usage.prompt_tokens ?? 0, output: data.usage.completion_tokens ?? 0 };
+        // Same reasons as gemini.js, so blocked and cut-off replies are split
+        // and rerouted rather than treated as plain errors
+        const finishReason = choice?.finish_reason;
+        if (finishReason === 'content_filter' || choice?.message?.refusal) {
+          throw Object.assign(new Error(`${model}: reply blocked (${finishReason ?? 'refusal'})`), { reason: 'blocked', finishReason: finishReason ?? 'refusal', usage });
+        }
+        if (finishReason === 'length') {
+          throw Object.assign(new Error(`${model}: reply cut off at the output token limit`), { reason: 'truncated', finishReason, usage });
+        }
+
+        const text = choice?.message?.content;
+        if (text) return { text, usage };
+        throw new Error('Empty response from API');
+      } catch (err) {
+        // Surface the HTTP status so rate limits and 5xx are recognised upstream
+        if (err.response) {
+          const wrapped = new Error(`${model} HTTP ${err.response.status}: ${JSON.stringify(err.response.data)}`);
+          wrapped.status = err.response.status;
+          throw wrapped;
+        }
+        throw err;
+      }
+    },
+  };
+}
@@ -0,0 +1,90 @@
+import { promises as fs } from 'fs';
+
+// Ratios are relative to what the language pair should produce: a zh→en
+// chapter is expected to come out about 3.3 times longer than its source.
+export const DEFAULT_THRESHOLDS = {
+  maxResidualRatio: 0.05,
+  minLengthFactor: 0.4,
+  maxLengthFactor: 2.5,
+  minParagraphFactor: 0.5,
+  maxParagraphFactor: 2,
+  minParagraphs: 5,
+};
+
+// Openings like "Sure," or "I'm sorry," are ordinary prose too, so they
+// only count with something that gives them away: a preamble has to talk
+// about the translation or end in a colon, a refusal has to be about the
+// task or come with hardly any text
+const PREAMBLE_OPENING = /^(?:here(?:'s| is)|sure\b|certainly\b|of course\b|okay\b|below is|translation\b)/i;
+const PREAMBLE_GIVEAWAY = /\btranslat|\brendering\b|:\s*$/i;
+const POSTAMBLE = /(?:let me know if|i hope (?:this|the translation)|feel free to|if you(?:'d| would) like (?:me|a)|do you want me to)[^\n]*\s*$/i;
+const REFUSAL_OPENING = /^\s*(?:i(?:'m| am) sorry|i cannot|i can't|i(?:'m| am) unable|as an ai)/i;
+const REFUSAL_TASK = /^\s*(?:i(?:'m| am) sorry,? (?:but )?)?(?:i cannot|i can't|i can ?not|i(?:'m| am) unable to|i won't|i will not)\s+(?:help|assist|translate|provide|comply|fulfil+|complete)\b|^\s*as an ai\b/i;
+
+// `--quality off` disables the gate, `--quality file.json` overrides thresholds
+export async function loadThresholds(option) {
+  if (option === 'off') return null;
+  if (!option) return { ...DEFAULT_THRESHOLDS };
+  return { ...DEFAULT_THRESHOLDS, ...JSON.parse(await fs.readFile(option, 'utf8')) };
+}
+
+function countMatches(text, regex) {
+  return text.match(regex)?.length ?? 0;
+}
+
+// Share of the output's letters still in the source script
+export function residualRatio(text, sourceLang) {
+  const letters = text.replace(/\s/g, '').length || 1;
+  return countMatches(text, sourceLang.script) / letters;
+}
+
+function paragraphCount(text) {
+  return text.split('\n').filter(line => line.trim()).length;
+}
+
+// Returns a list of { code, detail } issues; an empty list means the
+// output looks like a complete translation of the source
+export function checkTranslation(source, output, { sourceLang, targetLang, thresholds }) {
+  if (!thresholds) return [];
+  const issues = [];
+  const text = output ?? '';
+
+  const expected = sourceLang.density ? targetLang.density / sourceLang.density : 1;
+  const ratio = text.length / Math.max(source.length, 1);
+  const tooShort = ratio < expected * thresholds.minLengthFactor;
+
+  if (REFUSAL_TASK.test(text) || (tooShort && REFUSAL_OPENING.test(text))) {
+    issues.push({ code: 'refusal', detail: text.trim().slice(0, 80) });
+  }
+  const firstLine = text.trim().split('\n')[0];
+  if (PREAMBLE_OPENING.test(firstLine) && PREAMBLE_GIVEAWAY.test(firstLine)) {
+    issues.push({ code: 'preamble', detail: firstLine.slice(0, 80) });
+  }
+  if (POSTAMBLE.test(text.slice(-400))) {
+    issues.push({ code: 'postamble', detail: text.trim().split('\n').at(-1).slice(0, 80) });
+  }
+
+  // Only meaningful when the two languages use different scripts
+  if (sourceLang.script.source !== targetLang.script.source) {
+    const residual = residualRatio(text, sourceLang);
+    if (residual > thresholds.maxResidualRatio) {
+      issues.push({ code: 'residual_source', detail: `${(residual * 100).toFixed(1)}% ${sourceLang.name} characters left` });
+    }
+  }
+
+  if (tooShort) {
+    issues.push({ code: 'too_short', detail: `length ratio ${ratio.toFixed(2)}, expected ~${expected.toFixed(2)}` });
+  } else if (ratio > expected * thresholds.maxLengthFactor) {
+    issues.push({ code: 'too_long', detail: `length ratio ${ratio.toFixed(2)}, expected ~${expected.toFixed(2)}` });
+  }
+
+  const sourceParagraphs = paragraphCount(source);
+  if (sourceParagraphs >= thresholds.minParagraphs) {
+    const factor = paragraphCount(text) / sourceParagraphs;
+    if (factor < thresholds.minParagraphFactor || factor > thresholds.maxParagraphFactor) {
+      issues.push({ code: 'paragraphs', detail: `${paragraphCount(text)} paragraphs for ${sourceParagraphs} in the source` });
+    }
+  }
+
+  return issues;
+}
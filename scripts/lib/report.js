@@ -0,0 +1,115 @@
+import { promises as fs } from 'fs';
+import { DEFAULT_PRICES, tokenCost, usageTotals } from './usage.js';
+
+// How a chapter ended up: the first provider in the chain answered, a later
+// one did, every reply failed the quality gate and the last one was kept
+// for review, or every provider failed and the source text was kept
+export const STATUS = {
+  TRANSLATED: 'translated',
+  FALLBACK: 'fallback',
+  FLAGGED: 'flagged',
+  FAILED: 'failed',
+};
+
+export function reportPath(outputPath) {
+  return outputPath.replace(/\.json$/, '.report.json');
+}
+
+// `usage` is the scheduler's per-model request and token count, which also
+// covers title and context calls; costs are estimates from the price table
+export function buildRunReport(chapters, { source, start, end, sourceLang, targetLang, startedAt, usage = {}, prices = DEFAULT_PRICES, titleBatches = [], profile }) {
+  const statuses = Object.fromEntries(Object.values(STATUS).map(status => [status, 0]));
+  const models = {};
+  const failures = {};
+  const quality = {};
+
+  const modelStats = model => (models[model] ??= {
+    attempts: 0,
+    succeeded: 0,
+    failed: 0,
+    chapters: 0,
+    latencyMs: 0,
+    tokens: { input: 0, output: 0 },
+  });
+
+  for (const { meta, model } of chapters) {
+    statuses[meta.status] = (statuses[meta.status] ?? 0) + 1;
+    if (meta.status !== STATUS.FAILED && meta.status !== STATUS.FLAGGED) modelStats(model).chapters++;
+
+    for (const attempt of meta.attempts ?? []) {
+      const stats = modelStats(attempt.model);
+      stats.attempts++;
+      stats.latencyMs += attempt.ms ?? 0;
+      stats.tokens.input += attempt.tokens?.input ?? 0;
+      stats.tokens.output += attempt.tokens?.output ?? 0;
+      if (attempt.ok) {
+        stats.succeeded++;
+      } else {
+        stats.failed++;
+        failures[attempt.reason] = (failures[attempt.reason] ?? 0) + 1;
+        for (const code of attempt.issues ?? []) quality[code] = (quality[code] ?? 0) + 1;
+      }
+    }
+  }
+
+  for (const [model, stats] of Object.entries(models)) stats.cost = tokenCost(model, stats.tokens, prices);
+
+  const indexesWith = status => chapters.filter(c => c.meta.status === status).map(c => c.meta.index);
+
+  return {
+    source,
+    range: { start, end },
+    languages: { source: sourceLang.code, target: targetLang.code },
+    profile,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    chapters: { total: chapters.length, ...statuses, fromMemory: chapters.filter(c => c.meta.memory).length },
+    models,
+    failures,
+    quality,
+    usage,
+    totals: usageTotals(usage, prices),
+    titleBatches,
+    fallbackChapters: indexesWith(STATUS.FALLBACK),
+    flaggedChapters: chapters
+      .filter(c => c.meta.status === STATUS.FLAGGED)
+      .map(c => ({ index: c.meta.index, issues: c.meta.issues })),
+    failedChapters: indexesWith(STATUS.FAILED),
+    // Blocked (safety, recitation) and cut-off (token limit) replies, and
+    // whether the passage was split, rerouted to the next provider or lost
+    recovery: chapters.flatMap(c => (c.meta.recovery ?? []).map(event => ({ index: c.meta.index, ...event }))),
+  };
+}
+
+export async function writeRunReport(file, report) {
+  await fs.writeFile(file, JSON.stringify(report, null, 2));
+}
+
+export function printRunReport(report) {
+  const { chapters, models, failures, quality, totals } = report;
+  console.log(`\nTranslation summary:`);
+  console.log(`- Translated by the primary provider: ${chapters.translated}`);
+  console.log(`- Translated by a fallback provider: ${chapters.fallback}`);
+  console.log(`- Flagged by the quality gate (kept for review): ${chapters.flagged}`);
+  console.log(`- Failed (source text kept): ${chapters.failed}`);
+  if (chapters.fromMemory) console.log(`- Reused from the translation memory (in whole or part): ${chapters.fromMemory}`);
+  for (const [model, stats] of Object.entries(models)) {
+    console.log(`  ${model}: ${stats.chapters} chapters, ${stats.succeeded}/${stats.attempts} calls succeeded`);
+  }
+  if (totals?.tokens) {
+    const unpriced = totals.unpriced.length ? ` (no price for ${totals.unpriced.join(', ')})` : '';
+    console.log(`  tokens: ${totals.tokens} over ${totals.requests} requests, est. $${totals.cost.toFixed(4)}${unpriced}`);
+  }
+  for (const [reason, count] of Object.entries(failures)) {
+    console.log(`  failure ${reason}: ${count}`);
+  }
+  for (const [code, count] of Object.entries(quality)) {
+    console.log(`  quality issue ${code}: ${count}`);
+  }
+  if (report.recovery?.length) {
+    console.log(`- Blocked or cut-off replies: ${report.recovery.length}`);
+    for (const { index, reason, finishReason, model, chars, action } of report.recovery) {
+      console.log(`  chapter ${index}: ${reason} (${finishReason}) from ${model} on ${chars} characters, ${action}`);
+    }
+  }
+}
@@ -0,0 +1,26 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const RESULTS_DIR = path.join(__dirname, '../../results');
+
+const RESULT_FILE = /^(.+)_translated_(\d+)_(\d+)\.json$/;
+
+// "16555_translated_101_300.json" -> { name: '16555', start: 101, end: 300 }
+export function parseResultFilename(file) {
+  const match = RESULT_FILE.exec(path.basename(file));
+  if (!match) return null;
+  return { name: match[1], start: parseInt(match[2]), end: parseInt(match[3]) };
+}
+
+// Range files for one novel, sorted by their first chapter
+export async function listResultFiles(name, dir = RESULTS_DIR) {
+  const files = [];
+  for (const entry of await fs.readdir(dir)) {
+    const info = parseResultFilename(entry);
+    if (info && info.name === name) files.push({ ...info, path: path.join(dir, entry) });
+  }
+  return files.sort((a, b) => a.start - b.start || a.end - b.end);
+}
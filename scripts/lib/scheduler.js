@@ -0,0 +1,159 @@
+import { Semaphore } from '../../concurrency.js';
+
+const WINDOW_MS = 60_000;
+const MIN_BACKOFF_MS = 5_000;
+const MAX_BACKOFF_MS = 120_000;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+const NOT_SENT = Symbol('not sent');
+
+export function isRateLimitError(err) {
+  return err?.status === 429 || /quota|rate limit|resource.?exhausted/i.test(err?.message ?? '');
+}
+
+// Gemini puts a RetryInfo detail like "retryDelay": "37s" in 429 messages
+function retryDelayMs(err) {
+  const match = /retryDelay"?\s*:\s*"?(\d+(?:\.\d+)?)s/.exec(err?.message ?? '');
+  return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
+}
+
+// Sliding one-minute window of request start times for a single model.
+// The limit shrinks on every 429 and creeps back up on success (AIMD).
+class RateLimiter {
+  constructor(rpm) {
+    this.maxRpm = rpm;
+    this.rpm = rpm;
+    this.starts = [];
+    this.pausedUntil = 0;
+    this.backoff = MIN_BACKOFF_MS;
+  }
+
+  // 0 when a request may start now, otherwise how long until one may
+  delay() {
+    const now = Date.now();
+    if (now < this.pausedUntil) return this.pausedUntil - now;
+    while (this.starts.length && now - this.starts[0] >= WINDOW_MS) {
+      this.starts.shift();
+    }
+    return this.starts.length < this.rpm ? 0 : this.starts[0] + WINDOW_MS - now;
+  }
+
+  async ready() {
+    for (let wait = this.delay(); wait; wait = this.delay()) await sleep(wait);
+  }
+
+  // Takes a slot in the window if a request may start right now
+  tryTake() {
+    if (this.delay()) return false;
+    this.starts.push(Date.now());
+    return true;
+  }
+
+  onSuccess() {
+    this.backoff = MIN_BACKOFF_MS;
+    if (this.rpm < this.maxRpm) this.rpm++;
+  }
+
+  onRateLimited(err) {
+    const delay = retryDelayMs(err) ?? this.backoff;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+    this.backoff = Math.min(this.backoff * 2, MAX_BACKOFF_MS);
+    if (Number.isFinite(this.rpm)) this.rpm = Math.max(1, Math.floor(this.rpm * 0.75));
+    return delay;
+  }
+}
+
+export class Scheduler {
+  constructor({ maxInFlight = 4, rpm = {}, defaultRpm = Infinity, maxRetries = 2, budget = null } = {}) {
+    this.semaphore = new Semaphore(maxInFlight);
+    this.rpm = rpm;
+    this.defaultRpm = defaultRpm;
+    this.maxRetries = maxRetries;
+    this.budget = budget;
+    this.limiters = new Map();
+    this.inFlight = 0;
+    this.usage = {};
+  }
+
+  limiter(model) {
+    if (!this.limiters.has(model)) {
+      this.limiters.set(model, new RateLimiter(this.rpm[model] ?? this.defaultRpm));
+    }
+    return this.limiters.get(model);
+  }
+
+  // Requests and tokens per model, from the `usage` providers report
+  record(model, usage) {
+    const stats = (this.usage[model] ??= { requests: 0, input: 0, output: 0 });
+    stats.requests++;
+    stats.input += usage?.input ?? 0;
+    stats.output += usage?.output ?? 0;
+  }
+
+  get tokens() {
+    return Object.values(this.usage).reduce((sum, s) => sum + s.input + s.output, 0);
+  }
+
+  // Runs one request against `model`, waiting for room in that model's
+  // per-minute budget and then for a free in-flight slot, so a throttled or
+  // paused model never holds slots other models could use. 429s are retried
+  // after an adaptive pause; once retries run out the error goes back to the
+  // caller. Once the budget is used up every new request fails with reason
+  // 'budget'.
+  async run(model, fn) {
+    const limiter = this.limiter(model);
+    for (let attempt = 0; ; attempt++) {
+      this.budget?.check(this.usage);
+      try {
+        let result;
+        do {
+          await limiter.ready();
+          result = await this.semaphore.run(async () => {
+            // Checked again once a slot is free: queued requests may have
+            // waited while the ones ahead used up the budget, started a 429
+            // pause or filled the window, in which case the slot is handed
+            // back and the wait starts over
+            this.budget?.check(this.usage);
+            if (!limiter.tryTake()) return NOT_SENT;
+            this.inFlight++;
+            try {
+              return await fn();
+            } finally {
+              this.inFlight--;
+            }
+          });
+        } while (result === NOT_SENT);
+        limiter.onSuccess();
+        this.record(model, result?.usage);
+        return result;
+      } catch (err) {
+        // Blocked and cut-off replies are still billed
+        if (err.usage) this.record(model, err.usage);
+        if (!isRateLimitError(err) || attempt >= this.maxRetries) throw err;
+        const delay = limiter.onRateLimited(err);
+        console.warn(`${model} rate limited, backing off ${Math.round(delay / 1000)}s (retry ${attempt + 1}/${this.maxRetries})`);
+      }
+    }
+  }
+}
+
+// Parses "15" (every model) or "gemini-2.5-flash=10,gemini-2.5-flash-lite=15"
+export function parseRpm(value, defaults = {}) {
+  const rpm = { ...defaults };
+  let defaultRpm;
+  if (!value) return { rpm, defaultRpm };
+
+  for (const part of value.split(',')) {
+    const [key, num] = part.includes('=') ? part.split('=') : [null, part];
+    const n = Number(num);
+    if (!Number.isFinite(n) || n <= 0) throw new Error(`Invalid --rpm value: ${part}`);
+    if (key) {
+      rpm[key.trim()] = n;
+    } else {
+      defaultRpm = n;
+      for (const model of Object.keys(defaults)) rpm[model] = n;
+    }
+  }
+  return { rpm, defaultRpm };
+}
@@ -0,0 +1,221 @@
+import axios from 'axios';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { readZip } from './zip.js';
+
+// Headings that start a chapter in a single-file TXT novel; override with
+// --chapter-pattern (repeatable)
+export const DEFAULT_CHAPTER_PATTERNS = [
+  '^\\s*第[0-9０-９零〇一二两三四五六七八九十百千万]+[章回节話话].*$',
+  '^\\s*(?:Chapter|CHAPTER)\\s+\\d+.*$',
+];
+
+function isUrl(location) {
+  return /^https?:\/\//i.test(location);
+}
+
+// The name results are filed under: "https://x/16555.json" -> "16555",
+// "novels/foo.txt" -> "foo", "chapters/" -> "chapters"
+export function sourceName(location) {
+  const pathname = isUrl(location) ? new URL(location).pathname : location;
+  const base = path.basename(pathname.replace(/[\\/]+$/, ''));
+  return base.replace(/\.(json|jsonl|txt|epub)$/i, '');
+}
+
+// UTF-8 when it decodes cleanly, otherwise GB18030 (a superset of GBK),
+// which is what most Chinese TXT novels are saved as
+function decodeText(buffer) {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    text = new TextDecoder('gb18030').decode(buffer);
+  }
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+function trimBlankLines(text) {
+  return text.replace(/^\s*\n/, '').replace(/\n\s*$/, '');
+}
+
+function parseJsonl(text) {
+  return text.split('\n').filter(line => line.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new Error(`Invalid JSONL on line ${i + 1}`);
+    }
+  });
+}
+
+function chapterMatchers(patterns = DEFAULT_CHAPTER_PATTERNS) {
+  return patterns.map(pattern => new RegExp(pattern, 'u'));
+}
+
+// Splits one TXT novel at every line matching a heading pattern. Text
+// before the first heading (title page, author notes) is dropped.
+export function splitChapters(text, patterns) {
+  const matchers = chapterMatchers(patterns);
+  const chapters = [];
+  let preamble = 0;
+
+  for (const line of text.split('\n')) {
+    if (matchers.some(re => re.test(line))) {
+      chapters.push({ title: line.trim(), lines: [] });
+    } else if (chapters.length) {
+      chapters.at(-1).lines.push(line);
+    } else {
+      preamble += line.trim().length;
+    }
+  }
+
+  if (!chapters.length) throw new Error('No chapter headings found; pass --chapter-pattern to match this file');
+  if (preamble) console.warn(`Skipped ${preamble} characters before the first chapter heading`);
+  return chapters.map(({ title, lines }) => ({ title, content: trimBlankLines(lines.join('\n')) }));
+}
+
+// One chapter per file, in natural order (2.txt before 10.txt). A first line
+// that looks like a heading becomes the title, otherwise the file name does.
+async function loadTextDirectory(dir, patterns) {
+  const matchers = chapterMatchers(patterns);
+  const files = (await fs.readdir(dir))
+    .filter(file => file.toLowerCase().endsWith('.txt'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  if (!files.length) throw new Error(`No .txt files in ${dir}`);
+
+  const items = [];
+  for (const file of files) {
+    const text = trimBlankLines(decodeText(await fs.readFile(path.join(dir, file))));
+    const [first, ...rest] = text.split('\n');
+    if (matchers.some(re => re.test(first))) {
+      items.push({ title: first.trim(), content: trimBlankLines(rest.join('\n')) });
+    } else {
+      items.push({ title: path.basename(file, path.extname(file)), content: text });
+    }
+  }
+  return items;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+      return String.fromCodePoint(value);
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Block elements become paragraphs, everything else is flattened to text
+function xhtmlToText(html) {
+  const body = /<body[^>]*>([\s\S]*)<\/body>/i.exec(html)?.[1] ?? html;
+  return decodeEntities(body
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|blockquote|section)>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function attribute(tag, name) {
+  return new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(tag)?.[1];
+}
+
+// Spine documents in reading order; the title is the document's first
+// heading, and documents without text (covers, the nav page) are skipped
+function loadEpub(buffer) {
+  const files = readZip(buffer);
+  const read = name => {
+    const data = files.get(name);
+    if (!data) throw new Error(`EPUB is missing ${name}`);
+    return data.toString('utf8');
+  };
+
+  const opfPath = attribute(/<rootfile\b[^>]*>/i.exec(read('META-INF/container.xml'))?.[0] ?? '', 'full-path');
+  if (!opfPath) throw new Error('EPUB container.xml has no rootfile');
+  const opf = read(opfPath);
+  const base = path.posix.dirname(opfPath);
+
+  const manifest = new Map();
+  for (const [tag] of opf.matchAll(/<item\b[^>]*>/gi)) {
+    manifest.set(attribute(tag, 'id'), { href: attribute(tag, 'href'), properties: attribute(tag, 'properties') ?? '' });
+  }
+
+  const items = [];
+  for (const [tag] of opf.matchAll(/<itemref\b[^>]*>/gi)) {
+    const entry = manifest.get(attribute(tag, 'idref'));
+    if (!entry || entry.properties.includes('nav')) continue;
+    const html = read(path.posix.normalize(path.posix.join(base, decodeURIComponent(entry.href))));
+    const heading = /<h[1-3][^>]*>([\s\S]*?)<\/h[1-3]>/i.exec(html);
+    const title = heading
+      ? decodeEntities(heading[1].replace(/<[^>]+>/g, '')).trim()
+      : decodeEntities(/<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1] ?? '').trim();
+    const withoutHeading = heading ? html.replace(heading[0], '') : html;
+    const content = xhtmlToText(withoutHeading);
+    if (content) items.push({ title: title || `Chapter ${items.length + 1}`, content });
+  }
+  return items;
+}
+
+// Local files and downloads go through the same decoding, so a GB18030
+// TXT or a one-line JSONL reads the same either way
+function parseSource(buffer, ext, patterns) {
+  if (ext === '.epub') return loadEpub(buffer);
+  const text = decodeText(buffer);
+  if (ext === '.jsonl') return parseJsonl(text);
+  if (ext === '.txt') return splitChapters(text, patterns);
+  return JSON.parse(text);
+}
+
+async function loadLocal(location, patterns) {
+  const stat = await fs.stat(location);
+  if (stat.isDirectory()) return loadTextDirectory(location, patterns);
+  return parseSource(await fs.readFile(location), path.extname(location).toLowerCase(), patterns);
+}
+
+async function loadRemote(url, patterns) {
+  let response;
+  try {
+    response = await axios.get(url, { responseType: 'arraybuffer' });
+  } catch (error) {
+    console.error('Error fetching source:', error);
+    throw new Error(`Failed to fetch ${url}`);
+  }
+  return parseSource(Buffer.from(response.data), path.posix.extname(new URL(url).pathname).toLowerCase(), patterns);
+}
+
+// Loads a novel from an HTTP URL, a local .json / .jsonl / .txt / .epub
+// file or a directory of .txt chapters, as [{ index, title, content }]
+// with 1-based source indices
+export async function loadSource(location, { chapterPatterns } = {}) {
+  const data = isUrl(location)
+    ? await loadRemote(location, chapterPatterns)
+    : await loadLocal(location, chapterPatterns);
+  if (!Array.isArray(data)) {
+    throw new Error('Invalid JSON format: Expected an array');
+  }
+
+  return data.map((item, i) => {
+    if (typeof item?.content !== 'string') throw new Error(`Chapter ${i + 1} has no content`);
+    return { index: i + 1, title: String(item.title ?? `Chapter ${i + 1}`), content: item.content };
+  });
+}
+
+export function parseRange(rangeStr, maxItems) {
+  const [startStr, endStr] = rangeStr.split('-');
+  let start = parseInt(startStr);
+  let end = endStr ? parseInt(endStr) : start;
+
+  if (isNaN(start)) start = 1;
+  if (isNaN(end)) end = maxItems;
+  if (start < 1) start = 1;
+  if (end > maxItems) end = maxItems;
+  if (start > end) [start, end] = [end, start];
+
+  return { start, end };
+}
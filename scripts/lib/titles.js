@@ -0,0 +1,89 @@
+import { parseModelJson } from './json.js';
+
+// Chapter-number prefixes as the source novels and the models write them:
+// "第12章", "第一百二十回：", "제3화", "Chapter 12 -", "Capítulo 4."
+const CHAPTER_PREFIXES = [
+  /^\s*第\s*([0-9０-９零〇一二两三四五六七八九十百千万]+)\s*[章回节節話话集]\s*[:：、.．\-—–]?\s*/u,
+  /^\s*제?\s*(\d+)\s*[화장]\s*[:.\-—–]?\s*/u,
+  /^\s*(?:chapter|ch\.|capítulo|cap\.)\s*(\d+)\s*[:.\-—–]?\s*/iu,
+];
+
+// How each target language writes "Chapter 12"
+const CHAPTER_HEADINGS = {
+  en: n => `Chapter ${n}`,
+  es: n => `Capítulo ${n}`,
+  zh: n => `第${n}章`,
+  ja: n => `第${n}話`,
+  ko: n => `제${n}화`,
+};
+
+const DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const UNITS = { 十: 10, 百: 100, 千: 1000, 万: 10000 };
+
+// "12", "１２", "十二", "一百零五", "两千" -> number
+export function parseChapterNumber(text) {
+  const ascii = text.replace(/[０-９]/g, d => String.fromCharCode(d.charCodeAt(0) - 0xfee0));
+  if (/^\d+$/.test(ascii)) return parseInt(ascii);
+
+  let total = 0;
+  let section = 0;
+  let digit = null;
+  for (const char of text) {
+    if (char in DIGITS) {
+      digit = DIGITS[char];
+    } else if (char === '万') {
+      total = (section + (digit ?? 0)) * UNITS[char];
+      section = 0;
+      digit = null;
+    } else if (char in UNITS) {
+      // "十二" starts with an implied one
+      section += (digit ?? 1) * UNITS[char];
+      digit = null;
+    } else {
+      return null;
+    }
+  }
+  return total + section + (digit ?? 0);
+}
+
+// "第12章 归来" -> { number: 12, text: '归来' }; titles without a
+// chapter prefix come back with number null
+export function splitChapterTitle(title) {
+  for (const prefix of CHAPTER_PREFIXES) {
+    const match = prefix.exec(title);
+    if (!match) continue;
+    const number = parseChapterNumber(match[1]);
+    if (number !== null) return { number, text: title.slice(match[0].length).trim() };
+  }
+  return { number: null, text: title.trim() };
+}
+
+// Puts the source chapter number back in front of a translated title in the
+// target language's form ("Chapter 12: Return"), dropping whatever prefix
+// the model wrote itself
+export function formatChapterTitle(number, translated, targetCode = 'en') {
+  if (number === null) return (translated ?? '').trim();
+  const { text } = splitChapterTitle(translated ?? '');
+  const heading = (CHAPTER_HEADINGS[targetCode] ?? CHAPTER_HEADINGS.en)(number);
+  return text ? `${heading}: ${text}` : heading;
+}
+
+// Reads a JSON title batch reply into id -> title. Entries that are missing,
+// empty or still in the source script are left out so only they are redone.
+export function parseTitleReply(text, ids, { sourceLang, targetLang }) {
+  const parsed = parseModelJson(text);
+  const items = Array.isArray(parsed) ? parsed : parsed?.titles;
+  if (!Array.isArray(items)) throw new Error('expected a JSON array');
+
+  const wanted = new Set(ids);
+  const checkScript = sourceLang.script.source !== targetLang.script.source;
+  const titles = new Map();
+  for (const item of items) {
+    const id = Number(item?.id);
+    const title = typeof item?.title === 'string' ? item.title.trim() : '';
+    if (!wanted.has(id) || titles.has(id) || !title) continue;
+    if (checkScript && new RegExp(sourceLang.script.source, 'u').test(title)) continue;
+    titles.set(id, title);
+  }
+  return titles;
+}
@@ -0,0 +1,86 @@
+import { promises as fs } from 'fs';
+
+// USD per million tokens (paid tier list prices). Override or extend with
+// --prices <file.json> holding { "<model>": { "input": n, "output": n } }.
+// The free Google Translate endpoint costs nothing.
+export const DEFAULT_PRICES = {
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'google translate': { input: 0, output: 0 },
+};
+
+export async function loadPrices(file) {
+  if (!file) return DEFAULT_PRICES;
+  const custom = JSON.parse(await fs.readFile(file, 'utf8'));
+  for (const [model, price] of Object.entries(custom)) {
+    if (typeof price?.input !== 'number' || typeof price?.output !== 'number') {
+      throw new Error(`Invalid price for ${model} in ${file}: expected { "input": n, "output": n }`);
+    }
+  }
+  return { ...DEFAULT_PRICES, ...custom };
+}
+
+export function tokenCost(model, tokens, prices) {
+  const price = prices[model];
+  if (!price || !tokens) return 0;
+  return (tokens.input * price.input + tokens.output * price.output) / 1e6;
+}
+
+// Adds up the tokens and cost of a chapter's attempts
+export function attemptUsage(attempts, prices) {
+  const usage = { input: 0, output: 0, cost: 0 };
+  for (const { model, tokens } of attempts ?? []) {
+    if (!tokens) continue;
+    usage.input += tokens.input;
+    usage.output += tokens.output;
+    usage.cost += tokenCost(model, tokens, prices);
+  }
+  return usage;
+}
+
+// Totals over the scheduler's per-model usage; `unpriced` lists models that
+// used tokens but have no entry in the price table
+export function usageTotals(usage, prices) {
+  const totals = { requests: 0, tokens: 0, cost: 0, unpriced: [] };
+  for (const [model, stats] of Object.entries(usage)) {
+    totals.requests += stats.requests;
+    totals.tokens += stats.input + stats.output;
+    totals.cost += tokenCost(model, stats, prices);
+    if (!prices[model] && stats.input + stats.output) totals.unpriced.push(model);
+  }
+  return totals;
+}
+
+// Checked before every request. Requests already in flight still finish,
+// so a run can end slightly over the limit.
+export class Budget {
+  constructor({ maxTokens = Infinity, maxCost = Infinity, prices = DEFAULT_PRICES } = {}) {
+    this.maxTokens = maxTokens;
+    this.maxCost = maxCost;
+    this.prices = prices;
+    this.exceeded = null;
+  }
+
+  check(usage) {
+    if (!this.exceeded) {
+      const { tokens, cost } = usageTotals(usage, this.prices);
+      if (tokens >= this.maxTokens) this.exceeded = `token budget of ${this.maxTokens} used up (${tokens} tokens)`;
+      else if (cost >= this.maxCost) this.exceeded = `cost budget of $${this.maxCost} used up ($${cost.toFixed(4)})`;
+    }
+    if (this.exceeded) {
+      throw Object.assign(new Error(`Budget exceeded: ${this.exceeded}`), { reason: 'budget' });
+    }
+  }
+}
+
+// "--max-tokens 2000000" / "--max-cost 1.50"; null when neither is set
+export function parseBudget({ maxTokens, maxCost, prices }) {
+  if (maxTokens === undefined && maxCost === undefined) return null;
+  const tokens = maxTokens === undefined ? Infinity : Number(maxTokens);
+  const cost = maxCost === undefined ? Infinity : Number(maxCost);
+  if (!(tokens > 0)) throw new Error(`Invalid --max-tokens value: ${maxTokens}`);
+  if (!(cost > 0)) throw new Error(`Invalid --max-cost value: ${maxCost}`);
+  return new Budget({ maxTokens: tokens, maxCost: cost, prices });
+}
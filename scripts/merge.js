@@ -0,0 +1,89 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { RESULTS_DIR } from './lib/results.js';
+import { MERGE_POLICIES, loadRanges, mergeRanges, mostUsedModel } from './lib/merge.js';
+
+const DATA_DIR = 'data';
+
+const formatRange = ([start, end]) => start === end ? `${start}` : `${start}-${end}`;
+
+// Merges results/<prefix>_translated_<a>_<b>.json into data/<prefix>_translated.json
+// and writes data/<prefix>_translated.manifest.json describing where each part came from
+async function main(prefix, { policy, primary, total: totalStr, out, dir = RESULTS_DIR }) {
+  const total = totalStr === undefined ? undefined : parseInt(totalStr);
+  if (total !== undefined && !(total > 0)) throw new Error(`Invalid --total value: ${totalStr}`);
+
+  const { ranges, problems } = await loadRanges(prefix, dir);
+  for (const { file, problem } of problems) console.warn(`Warning: ${path.basename(file)} ${problem}`);
+  if (!ranges.length) throw new Error(`No range files found for ${prefix} in ${dir}`);
+
+  const primaryModel = primary ?? mostUsedModel(ranges);
+  const merged = mergeRanges(ranges, { policy, primary: primaryModel, total });
+
+  for (const range of ranges) {
+    console.log(`Merged: ${path.basename(range.path)} (${merged.used.get(range.path)} of ${range.chapters.length} chapters used)`);
+  }
+  for (const overlap of merged.overlaps) {
+    const others = overlap.files.filter(f => f !== overlap.chosen).map(f => path.basename(f));
+    console.log(`Overlap ${formatRange([overlap.start, overlap.end])}: kept ${path.basename(overlap.chosen)} over ${others.join(', ')}`);
+  }
+  if (merged.gaps.length) console.warn(`Gaps: ${merged.gaps.map(formatRange).join(', ')}`);
+  if (merged.unusable.length) console.warn(`Failed or flagged chapters: ${merged.unusable.map(formatRange).join(', ')}`);
+
+  const outputPath = out ?? path.join(DATA_DIR, `${prefix}_translated.json`);
+  const manifestPath = outputPath.replace(/\.json$/, '.manifest.json');
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  // Gaps leave the array dense, so each chapter carries its source index
+  const chapters = [...merged.byIndex].map(([index, chapter]) => ({ ...chapter, meta: { ...chapter.meta, index } }));
+  await fs.writeFile(outputPath, JSON.stringify(chapters, null, 2));
+  await fs.writeFile(manifestPath, JSON.stringify({
+    prefix,
+    policy,
+    primary: policy === 'primary' ? primaryModel : undefined,
+    mergedAt: new Date().toISOString(),
+    chapters: merged.chapters.length,
+    files: ranges.map(range => ({
+      file: path.basename(range.path),
+      start: range.start,
+      end: range.end,
+      chapters: range.chapters.length,
+      updatedAt: new Date(range.time).toISOString(),
+      used: merged.used.get(range.path),
+    })),
+    gaps: merged.gaps,
+    overlaps: merged.overlaps.map(o => ({ ...o, files: o.files.map(f => path.basename(f)), chosen: path.basename(o.chosen) })),
+    unusable: merged.unusable,
+    problems: problems.map(p => ({ ...p, file: path.basename(p.file) })),
+  }, null, 2));
+
+  console.log(`Successfully merged ${ranges.length} files into ${outputPath}`);
+  console.log(`Total items in merged file: ${merged.chapters.length} (manifest: ${manifestPath})`);
+  return merged.gaps.length + problems.length;
+}
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    policy: { type: 'string', default: 'newest' },
+    primary: { type: 'string' },
+    total: { type: 'string' },
+    out: { type: 'string' },
+    dir: { type: 'string' },
+    strict: { type: 'boolean', default: false },
+  },
+});
+
+const [prefix] = positionals;
+if (!prefix || !MERGE_POLICIES.includes(options.policy)) {
+  console.error(`Usage: node merge.js <file_prefix> [--policy ${MERGE_POLICIES.join('|')}] [--primary <model>] [--total <chapters>] [--out <file>] [--dir <results_dir>] [--strict]`);
+  process.exit(1);
+}
+
+try {
+  const problems = await main(prefix, options);
+  if (problems && options.strict) process.exitCode = 2;
+} catch (error) {
+  console.error('Error:', error);
+  process.exit(1);
+}
@@ -0,0 +1,156 @@
+import path from 'path';
+import { parseArgs } from 'util';
+import { loadSource, sourceName } from './lib/source.js';
+import { loadRanges, mergeRanges, toRanges } from './lib/merge.js';
+import { STATUS } from './lib/report.js';
+import { DEFAULT_THRESHOLDS, checkTranslation } from './lib/quality.js';
+import { profileName, loadProfile } from './lib/prompts.js';
+import { getLanguage, languagePrefix, DEFAULT_SOURCE_LANG, DEFAULT_TARGET_LANG } from './lib/languages.js';
+
+// `outdated` (made with another prompt profile version) is only re-run on request
+const REASONS = ['missing', 'failed', 'fallback', 'outdated'];
+const DEFAULT_REASONS = ['missing', 'failed', 'fallback'];
+
+// Chapters written before prompt profiles existed used what is now default@1
+const LEGACY_PROFILE = 'default@1';
+
+// Flags passed through to ai_query.js main() with --run
+const PIPELINE_OPTIONS = ['concurrency', 'rpm', 'glossary', 'sequential', 'providers', 'title-chain', 'chapter-chain', 'context-chain', 'quality', 'aligned', 'chapter-pattern', 'prices', 'max-tokens', 'max-cost', 'memory', 'fuzzy', 'profile'];
+
+// Why a chapter needs another run, or null when it is fine. Files written
+// before chapters carried metadata are judged by how much source text is left.
+function weakness(chapter, sourceLang, targetLang, profileId) {
+  if (!chapter) return 'missing';
+  const status = chapter.meta?.status;
+  if (status === STATUS.FAILED || status === STATUS.FLAGGED || !chapter.content) return 'failed';
+  if (chapter.model === 'google translate') return 'fallback';
+  if (!chapter.meta) {
+    const issues = checkTranslation('', chapter.content, { sourceLang, targetLang, thresholds: DEFAULT_THRESHOLDS });
+    if (issues.some(issue => issue.code === 'residual_source')) return 'failed';
+  }
+  if ((chapter.meta?.profile ?? LEGACY_PROFILE) !== profileId) return 'outdated';
+  return null;
+}
+
+// Joins ranges separated by at most `bridge` good chapters (one run instead
+// of two is cheaper than a few extra chapters), then splits any range longer
+// than `maxSize` so each run fits in one workflow job
+function planRanges(indexes, { bridge = 0, maxSize = Infinity } = {}) {
+  const joined = [];
+  for (const [start, end] of toRanges(indexes)) {
+    const last = joined.at(-1);
+    if (last && start - last[1] - 1 <= bridge) last[1] = end;
+    else joined.push([start, end]);
+  }
+
+  const planned = [];
+  for (const [start, end] of joined) {
+    for (let from = start; from <= end; from += maxSize) {
+      planned.push([from, Math.min(end, from + maxSize - 1)]);
+    }
+  }
+  return planned;
+}
+
+async function main(jsonUrl, options) {
+  const { 'source-lang': sourceCode, 'target-lang': targetCode, include, bridge: bridgeStr, 'max-size': maxSizeStr, run, 'chapter-pattern': chapterPatterns } = options;
+  const sourceLang = getLanguage(sourceCode);
+  const targetLang = getLanguage(targetCode);
+  const bridge = parseInt(bridgeStr);
+  if (!(bridge >= 0)) throw new Error(`Invalid --bridge value: ${bridgeStr}`);
+  const maxSize = maxSizeStr === undefined ? Infinity : parseInt(maxSizeStr);
+  if (!(maxSize > 0)) throw new Error(`Invalid --max-size value: ${maxSizeStr}`);
+  const reasons = include.split(',').map(r => r.trim()).filter(Boolean);
+  for (const reason of reasons) {
+    if (!REASONS.includes(reason)) throw new Error(`Unknown --include value "${reason}" (expected ${REASONS.join(', ')})`);
+  }
+
+  const jsonData = await loadSource(jsonUrl, { chapterPatterns });
+
+  const prefix = languagePrefix(sourceName(jsonUrl), sourceLang, targetLang);
+  const profile = await loadProfile(await profileName(sourceName(jsonUrl), options.profile));
+  const { ranges, problems } = await loadRanges(prefix);
+  for (const { file, problem } of problems) console.warn(`Warning: ${path.basename(file)} ${problem}`);
+  // Later runs of a range replace earlier ones, as in the merge
+  const { byIndex } = mergeRanges(ranges, { total: jsonData.length });
+
+  const found = Object.fromEntries(REASONS.map(reason => [reason, []]));
+  for (let index = 1; index <= jsonData.length; index++) {
+    const reason = weakness(byIndex.get(index), sourceLang, targetLang, profile.id);
+    if (reason) found[reason].push(index);
+  }
+
+  console.log(`${prefix}: ${jsonData.length} chapters, ${ranges.length} result files, prompt profile ${profile.id}`);
+  for (const reason of REASONS) {
+    const listed = toRanges(found[reason]).map(([a, b]) => a === b ? `${a}` : `${a}-${b}`).join(', ');
+    console.log(`${reason}: ${found[reason].length}${listed ? ` (${listed})` : ''}`);
+  }
+
+  const indexes = reasons.flatMap(reason => found[reason]).sort((a, b) => a - b);
+  const plan = planRanges(indexes, { bridge, maxSize });
+  if (!plan.length) {
+    console.log('\nNothing to translate');
+    return;
+  }
+
+  const planned = plan.reduce((sum, [a, b]) => sum + b - a + 1, 0);
+  console.log(`\nRanges to run (${planned} chapters for ${indexes.length} ${reasons.join('/')}):`);
+  for (const [start, end] of plan) console.log(`${start}-${end}`);
+  if (!run) return;
+
+  // Imported here so planning alone needs no provider setup
+  const { main: translate } = await import('./ai_query.js');
+  const pipelineOptions = Object.fromEntries(PIPELINE_OPTIONS.filter(o => options[o] !== undefined).map(o => [o, options[o]]));
+  for (const [start, end] of plan) {
+    console.log(`\n=== ${start}-${end} ===`);
+    const { stopped } = await translate(jsonUrl, `${start}-${end}`, {
+      ...pipelineOptions,
+      'source-lang': sourceLang.code,
+      'target-lang': targetLang.code,
+    });
+    // Budgets apply to each range; one that runs out stops the plan
+    if (stopped) break;
+  }
+}
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'source-lang': { type: 'string', default: DEFAULT_SOURCE_LANG },
+    'target-lang': { type: 'string', default: DEFAULT_TARGET_LANG },
+    include: { type: 'string', default: DEFAULT_REASONS.join(',') },
+    bridge: { type: 'string', default: '2' },
+    'max-size': { type: 'string' },
+    run: { type: 'boolean', default: false },
+    concurrency: { type: 'string' },
+    rpm: { type: 'string' },
+    glossary: { type: 'string' },
+    sequential: { type: 'boolean' },
+    providers: { type: 'string' },
+    'title-chain': { type: 'string' },
+    'chapter-chain': { type: 'string' },
+    'context-chain': { type: 'string' },
+    quality: { type: 'string' },
+    aligned: { type: 'boolean' },
+    'chapter-pattern': { type: 'string', multiple: true },
+    prices: { type: 'string' },
+    'max-tokens': { type: 'string' },
+    'max-cost': { type: 'string' },
+    memory: { type: 'string' },
+    fuzzy: { type: 'string' },
+    profile: { type: 'string' },
+  },
+});
+
+const [jsonUrl] = positionals;
+if (!jsonUrl) {
+  console.error('Usage: node plan.js <json_url> [--include missing,failed,fallback,outdated] [--profile <name|file.json>] [--bridge <n>] [--max-size <n>] [--source-lang <code>] [--target-lang <code>] [--run [ai_query.js options]]');
+  process.exit(1);
+}
+
+try {
+  await main(jsonUrl, options);
+} catch (error) {
+  console.error('Error:', error);
+  process.exit(1);
+}
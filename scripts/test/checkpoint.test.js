@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { Checkpoint, checkpointPath } from '../lib/checkpoint.js';
+
+async function tempFile(name) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoint-'));
+  return path.join(dir, name);
+}
+
+test('checkpointPath keeps the file out of the results glob', () => {
+  assert.equal(checkpointPath('results/16555_translated_1_100.json'), 'results/16555_translated_1_100.checkpoint.jsonl');
+});
+
+test('a missing checkpoint loads as empty', async () => {
+  const checkpoint = new Checkpoint(await tempFile('none.checkpoint.jsonl'));
+  assert.equal((await checkpoint.load()).size, 0);
+});
+
+test('resume sees every appended chapter, the latest line per index winning', async () => {
+  const file = await tempFile('run.checkpoint.jsonl');
+  const checkpoint = new Checkpoint(file);
+  await checkpoint.reset();
+  await Promise.all([
+    checkpoint.append({ index: 1, content: 'one', ok: true }),
+    checkpoint.append({ index: 2, content: 'two (failed)', ok: false }),
+    checkpoint.append({ index: 2, content: 'two', ok: true }),
+  ]);
+
+  const entries = await new Checkpoint(file).load();
+  assert.deepEqual([...entries.keys()], [1, 2]);
+  assert.equal(entries.get(2).content, 'two');
+});
+
+test('a line cut off by a crash is ignored', async () => {
+  const file = await tempFile('crash.checkpoint.jsonl');
+  await fs.writeFile(file, `${JSON.stringify({ index: 1, content: 'one' })}\n{"index": 2, "cont`);
+  const entries = await new Checkpoint(file).load();
+  assert.deepEqual([...entries.keys()], [1]);
+});
+
+test('remove waits for pending appends, then deletes the file', async () => {
+  const file = await tempFile('done.checkpoint.jsonl');
+  const checkpoint = new Checkpoint(file);
+  checkpoint.append({ index: 1, content: 'one' });
+  await checkpoint.remove();
+  await assert.rejects(fs.access(file), { code: 'ENOENT' });
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildEpub, extractFootnotes, escapeXml } from '../lib/epub.js';
+import { readZip } from '../lib/zip.js';
+import { loadSource } from '../lib/source.js';
+
+const chapters = [
+  { title: 'Chapter 1: Return', content: 'Zhou Ze went **home**.\n\n***\n\nHe *laughed*.' },
+  { title: 'Chapter 2: <Swords> & Sects', content: 'He met the elder[1] at dawn¹.\n\nFootnotes:\n[1] A senior sect member.\n¹ Around five o\'clock.' },
+];
+
+test('notes under a heading or after a separator are split off', () => {
+  assert.deepEqual(extractFootnotes('Text[1].\n\n**Translator\'s Notes:**\n1. First\ncontinued\n2. Second'), {
+    body: 'Text[1].',
+    notes: [{ id: 1, text: 'First continued' }, { id: 2, text: 'Second' }],
+  });
+  assert.deepEqual(extractFootnotes('Text^1.\n\n---\n^1 A note').notes, [{ id: 1, text: 'A note' }]);
+  // A scene break followed by prose is not a notes section
+  const story = 'Before.\n\n***\n\nThe story goes on[1].\nMore story.';
+  assert.deepEqual(extractFootnotes(story), { body: story, notes: [] });
+});
+
+test('the mimetype entry comes first and is stored uncompressed', () => {
+  const epub = buildEpub(chapters, { title: 'Novel', identifier: 'urn:test' });
+  assert.equal(epub.toString('latin1', 30, 58), 'mimetypeapplication/epub+zip');
+  assert.deepEqual([...readZip(epub).keys()], [
+    'mimetype', 'OEBPS/content.opf', 'META-INF/container.xml', 'OEBPS/nav.xhtml', 'OEBPS/toc.ncx', 'OEBPS/style.css',
+    'OEBPS/chapter-0001.xhtml', 'OEBPS/chapter-0002.xhtml',
+  ]);
+});
+
+test('metadata, chapters and the cover are listed in the package', () => {
+  const files = readZip(buildEpub(chapters, {
+    title: 'Novel & Co',
+    author: 'Author',
+    translator: 'Translator',
+    language: 'es',
+    identifier: 'urn:test',
+    cover: { name: 'cover.PNG', data: Buffer.from('png') },
+  }));
+  const opf = files.get('OEBPS/content.opf').toString('utf8');
+  assert.match(opf, /<dc:title>Novel &amp; Co<\/dc:title>/);
+  assert.match(opf, /<dc:language>es<\/dc:language>/);
+  assert.match(opf, /<meta refines="#translator" property="role" scheme="marc:relators">trl<\/meta>/);
+  assert.match(opf, /<itemref idref="cover"\/>\n<itemref idref="ch1"\/>\n<itemref idref="ch2"\/>/);
+  assert.equal(files.get('OEBPS/cover.png').toString(), 'png');
+  assert.match(files.get('OEBPS/nav.xhtml').toString('utf8'), /<a href="chapter-0002.xhtml">Chapter 2: &lt;Swords&gt; &amp; Sects<\/a>/);
+  assert.throws(() => buildEpub(chapters, { title: 'x', cover: { name: 'cover.bmp', data: Buffer.alloc(0) } }), /Unsupported cover image type/);
+});
+
+test('chapters get Markdown emphasis, scene breaks and linked footnotes', () => {
+  const files = readZip(buildEpub(chapters, { title: 'Novel' }));
+  const first = files.get('OEBPS/chapter-0001.xhtml').toString('utf8');
+  assert.match(first, /<p>Zhou Ze went <strong>home<\/strong>.<\/p>\n<hr\/>\n<p>He <em>laughed<\/em>.<\/p>/);
+
+  const second = files.get('OEBPS/chapter-0002.xhtml').toString('utf8');
+  assert.match(second, /elder<a epub:type="noteref" href="#fn2-1" id="ref2-1"><sup>1<\/sup><\/a> at dawn<a epub:type="noteref" href="#fn2-1"><sup>1<\/sup><\/a>/);
+  assert.match(second, /<aside epub:type="footnote" id="fn2-1"><p>1. A senior sect member. <a href="#ref2-1">↩<\/a><\/p><\/aside>/);
+  // The second note reuses number 1, so it gets its own id instead of a link
+  assert.match(second, /<aside epub:type="footnote" id="fn2-n2"><p>Around five o'clock.<\/p><\/aside>/);
+  assert.doesNotMatch(second, /Footnotes:/);
+});
+
+test('a built EPUB loads back as the same chapters', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'epub-'));
+  const file = path.join(dir, 'novel.epub');
+  await fs.writeFile(file, buildEpub([chapters[0], { title: 'Chapter 2', content: 'Fin & done.' }], { title: 'Novel' }));
+  assert.deepEqual(await loadSource(file), [
+    { index: 1, title: 'Chapter 1: Return', content: 'Zhou Ze went home.\n\nHe laughed.' },
+    { index: 2, title: 'Chapter 2', content: 'Fin & done.' },
+  ]);
+});
+
+test('escapeXml escapes markup and quotes', () => {
+  assert.equal(escapeXml('<a href="x">&</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+});
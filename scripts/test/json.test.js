@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseModelJson, WriteQueue } from '../lib/json.js';
+
+test('model JSON is parsed with or without a code fence', () => {
+  assert.deepEqual(parseModelJson('[{"id": 1}]'), [{ id: 1 }]);
+  assert.deepEqual(parseModelJson('```json\n[{"id": 1}]\n```\n'), [{ id: 1 }]);
+  assert.deepEqual(parseModelJson('```\n{"a": 2}\n```'), { a: 2 });
+  assert.throws(() => parseModelJson('Here you go: [1]'), SyntaxError);
+});
+
+test('queued writes run in order, one at a time', async () => {
+  const queue = new WriteQueue();
+  const log = [];
+  const write = (id, ms) => queue.push(async () => {
+    log.push(`start ${id}`);
+    await new Promise(r => setTimeout(r, ms));
+    log.push(`end ${id}`);
+  });
+  write('a', 20);
+  write('b', 0);
+  await queue.pending;
+  assert.deepEqual(log, ['start a', 'end a', 'start b', 'end b']);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { TranslationMemory, diceSimilarity, termsVersion, currentEntries, invalidateEntries } from '../lib/memory.js';
+import { readJsonl } from '../lib/json.js';
+
+const version = { prompt: 'p1', terms: '' };
+
+async function tempMemory() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-'));
+  return TranslationMemory.open(path.join(dir, 'zh-en.jsonl'));
+}
+
+test('diceSimilarity is 1 for the same text and 0 for nothing shared', () => {
+  assert.equal(diceSimilarity('周泽去了青云宗。', '周泽去了青云宗。'), 1);
+  assert.equal(diceSimilarity('周泽去了青云宗。', '他笑了'), 0);
+  assert.equal(diceSimilarity('a  b', 'a b'), 1);
+  const close = diceSimilarity('周泽去了青云宗，天色已晚。', '周泽去了青云宗，天色渐晚。');
+  assert.ok(close > 0.7 && close < 1);
+});
+
+test('termsVersion ignores glossary order', () => {
+  const a = { source: '周泽', target: 'Zhou Ze' };
+  const b = { source: '青云宗', target: 'Azure Cloud Sect' };
+  assert.equal(termsVersion([a, b]), termsVersion([b, a]));
+  assert.equal(termsVersion([]), '');
+});
+
+test('exact lookups need the same prompt and glossary terms', async () => {
+  const memory = await tempMemory();
+  await memory.add('paragraph', '周泽笑了。', 'Zhou Ze laughed.', { model: 'm', ...version });
+  assert.equal(memory.lookup('paragraph', '周泽笑了。', version).translation, 'Zhou Ze laughed.');
+  assert.equal(memory.lookup('paragraph', '周泽笑了。', { prompt: 'p2', terms: '' }), null);
+  assert.equal(memory.lookup('paragraph', '周泽笑了。', { prompt: 'p1', terms: 'x' }), null);
+  assert.equal(memory.lookup('chapter', '周泽笑了。', version), null);
+  assert.deepEqual(memory.hits, { exact: 1, fuzzy: 0 });
+});
+
+test('fuzzy matches return the closest entry at or above the threshold', async () => {
+  const memory = await tempMemory();
+  await memory.add('paragraph', '周泽去了青云宗，天色已晚。', 'Zhou Ze went to the sect; it was late.', { model: 'm', ...version });
+  await memory.add('paragraph', '周泽去了青云宗，天色已晚，他很累。', 'Zhou Ze went to the sect; it was late and he was tired.', { model: 'm', ...version });
+
+  const match = memory.fuzzy('paragraph', '周泽去了青云宗，天色渐晚。', version, 0.7);
+  assert.equal(match.entry.translation, 'Zhou Ze went to the sect; it was late.');
+  assert.ok(match.score >= 0.7);
+  assert.equal(memory.fuzzy('paragraph', '周泽去了青云宗，天色渐晚。', version, 0.99), null);
+  assert.equal(memory.fuzzy('paragraph', '周泽去了青云宗，天色渐晚。', { prompt: 'p2', terms: '' }, 0.7), null);
+  assert.equal(memory.hits.fuzzy, 1);
+});
+
+test('entries survive a reopen, later lines winning', async () => {
+  const memory = await tempMemory();
+  await memory.add('title', '第一章', 'Chapter One', { model: 'a', ...version });
+  await memory.add('title', '第一章', 'Chapter 1', { model: 'b', ...version });
+
+  const reopened = await TranslationMemory.open(memory.file);
+  assert.equal(reopened.size, 1);
+  assert.equal(reopened.lookup('title', '第一章', version).translation, 'Chapter 1');
+  assert.equal((await readJsonl(memory.file)).length, 2);
+});
+
+test('pruning keeps the latest line per key, whatever profile wrote it', () => {
+  const entries = [
+    { key: 'a', prompt: 'xianxia', translation: 'old', date: '2026-01-01' },
+    { key: 'b', prompt: 'romance', translation: 'other novel', date: '2026-01-02' },
+    { key: 'a', prompt: 'xianxia', translation: 'new', date: '2026-01-03' },
+    { key: 'c', prompt: 'default', translation: 'newest prompt', date: '2026-01-04' },
+  ];
+  assert.deepEqual(currentEntries(entries).map(e => e.translation), ['new', 'other novel', 'newest prompt']);
+});
+
+test('invalidating the newest line for a key does not bring back an older one', () => {
+  const entries = [
+    { key: 'a', kind: 'paragraph', model: 'm', prompt: 'p1', source: '小三走了', translation: 'OLD bad: Little Three went', date: '2026-01-01' },
+    { key: 'a', kind: 'paragraph', model: 'm', prompt: 'p1', source: '小三走了', translation: 'NEW: Xiao San left', date: '2026-01-02' },
+    { key: 'b', kind: 'title', model: 'm', prompt: 'p1', source: '第一章', translation: 'Chapter 1', date: '2026-01-02' },
+  ];
+  assert.deepEqual(invalidateEntries(entries, { containing: 'NEW' }).map(e => e.key), ['b']);
+  assert.deepEqual(invalidateEntries(entries, { kind: 'title' }).map(e => e.translation), ['NEW: Xiao San left']);
+  assert.deepEqual(invalidateEntries(entries, { all: true }), []);
+  assert.throws(() => invalidateEntries(entries, {}), /needs a filter/);
+  assert.throws(() => invalidateEntries(entries, { kind: 'scene' }), /Unknown kind/);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeRanges, toRanges, mostUsedModel } from '../lib/merge.js';
+
+const chapter = (content, model = 'gemini-2.5-flash-lite', status = 'translated') => ({ content, model, meta: { status } });
+
+function range(start, chapters, time = 0) {
+  return { path: `results/nov_translated_${start}_${start + chapters.length - 1}.json`, start, end: start + chapters.length - 1, chapters, time };
+}
+
+test('toRanges groups consecutive indexes', () => {
+  assert.deepEqual(toRanges([3, 4, 5, 9]), [[3, 5], [9, 9]]);
+  assert.deepEqual(toRanges([]), []);
+});
+
+test('gaps are listed but the merged array stays dense', () => {
+  const merged = mergeRanges([range(1, [chapter('1'), chapter('2')]), range(5, [chapter('5')])], { total: 7 });
+  assert.deepEqual(merged.chapters.map(c => c.content), ['1', '2', '5']);
+  assert.ok(merged.chapters.every(Boolean));
+  assert.deepEqual(merged.gaps, [[3, 4], [6, 7]]);
+  assert.equal(merged.byIndex.get(5).content, '5');
+  assert.equal(merged.byIndex.has(3), false);
+});
+
+test('overlaps go to the newest file, but never to an unusable chapter', () => {
+  const older = range(1, [chapter('old 1'), chapter('old 2')], 1);
+  const newer = range(2, [chapter('new 2', 'gemini-2.5-flash-lite', 'failed'), chapter('new 3')], 2);
+  const merged = mergeRanges([older, newer]);
+  assert.deepEqual(merged.chapters.map(c => c.content), ['old 1', 'old 2', 'new 3']);
+  assert.deepEqual(merged.overlaps, [{ start: 2, end: 2, files: [older.path, newer.path], chosen: older.path }]);
+  assert.deepEqual(merged.unusable, []);
+  assert.equal(merged.used.get(newer.path), 1);
+});
+
+test('the primary policy prefers the primary model over a newer fallback', () => {
+  const primary = range(1, [chapter('primary')], 1);
+  const fallback = range(1, [chapter('google', 'google translate')], 2);
+  assert.equal(mergeRanges([primary, fallback]).chapters[0].content, 'google');
+  assert.equal(mergeRanges([primary, fallback], { policy: 'primary', primary: 'gemini-2.5-flash-lite' }).chapters[0].content, 'primary');
+  assert.throws(() => mergeRanges([primary], { policy: 'best' }), /Unknown merge policy/);
+});
+
+test('unusable chapters are reported by chapter number', () => {
+  const merged = mergeRanges([range(1, [chapter('1')]), range(4, [chapter('4', 'google translate', 'flagged')])]);
+  assert.deepEqual(merged.unusable, [[4, 4]]);
+  assert.equal(mostUsedModel([range(1, [chapter('1'), chapter('2', 'google translate')])]), 'gemini-2.5-flash-lite');
+});
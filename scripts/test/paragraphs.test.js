@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitParagraphs, textParagraphs, joinParagraphs, batchParagraphs } from '../lib/paragraphs.js';
+
+const chapter = '周泽去了青云宗。\n\n  ------\n\n  他笑了。  \n\n\t第3天。';
+
+test('only lines with text become numbered paragraphs', () => {
+  const segments = splitParagraphs(chapter);
+  assert.deepEqual(segments.map(s => s.kind), ['text', 'blank', 'separator', 'blank', 'text', 'blank', 'text']);
+  assert.deepEqual(textParagraphs(segments).map(p => [p.id, p.body]), [[1, '周泽去了青云宗。'], [2, '他笑了。'], [3, '第3天。']]);
+});
+
+test('joining puts translations back with the exact layout', () => {
+  const segments = splitParagraphs(chapter);
+  assert.equal(joinParagraphs(segments, new Map()), chapter);
+  const joined = joinParagraphs(segments, new Map([[1, 'Zhou Ze went.'], [2, 'He laughed.']]));
+  assert.equal(joined, 'Zhou Ze went.\n\n  ------\n\n  He laughed.  \n\n\t第3天。');
+});
+
+test('batches stay under the size limit unless one paragraph is larger', () => {
+  const paragraphs = [5, 5, 5, 20, 1].map((n, i) => ({ id: i + 1, body: 'x'.repeat(n) }));
+  assert.deepEqual(batchParagraphs(paragraphs, 10).map(b => b.map(p => p.id)), [[1, 2], [3], [4], [5]]);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerProvider } from '../lib/providers/index.js';
+import { configure, translateChapter } from '../ai_query.js';
+import { STATUS } from '../lib/report.js';
+
+// "fake:strict" blocks any passage mentioning blood, "fake:short" cuts off
+// passages over 12 characters and "fake:lenient" translates anything. A
+// translation marks each line so the rejoined order can be checked.
+const calls = [];
+registerProvider('fake', ({ model }) => ({
+  id: `fake:${model}`,
+  model,
+  instructions: true,
+  async generate({ contents }) {
+    calls.push({ model, contents });
+    if (model === 'strict' && contents.includes('血')) throw Object.assign(new Error('blocked by safety filter'), { reason: 'blocked', finishReason: 'SAFETY' });
+    if (model === 'short' && contents.length > 12) throw Object.assign(new Error('hit the output token limit'), { reason: 'truncated', finishReason: 'MAX_TOKENS' });
+    return { text: contents.replace(/[^\n]+/g, line => `<${line.trim()}>`) };
+  },
+}));
+
+const chapter = (content, chain) => {
+  calls.length = 0;
+  return configure({ 'chapter-chain': chain, memory: 'off', quality: 'off' })
+    .then(() => translateChapter({ index: 1, title: 'Chapter 1', originalTitle: '第一章', content }, null));
+};
+
+test('a blocked chapter is split, the halves retried from the top and rejoined in order', async () => {
+  const result = await chapter('周泽走进了山门。\n\n他看了看四周。\n\n地上全是血。\n\n他转身离开了。', 'fake:strict,fake:lenient');
+
+  assert.equal(result.content, '<周泽走进了山门。>\n\n<他看了看四周。>\n\n<地上全是血。>\n\n<他转身离开了。>');
+  assert.deepEqual(result.meta.recovery.map(event => `${event.model} ${event.action}`), ['fake:strict split', 'fake:strict split', 'fake:strict rerouted']);
+  // Only the one sentence the filter objects to goes to the weaker provider
+  assert.deepEqual(calls.filter(call => call.model === 'lenient').map(call => call.contents), ['地上全是血。']);
+  assert.deepEqual(result.meta.passages.map(p => p.model), ['fake:strict', 'fake:lenient', 'fake:strict']);
+  assert.equal(result.model, 'fake:strict');
+  assert.equal(result.meta.status, STATUS.FALLBACK);
+  assert.equal(result.ok, true);
+});
+
+test('a truncated single paragraph is split at a sentence end', async () => {
+  const result = await chapter('周泽走进了山门。他看了看四周。', 'fake:short');
+
+  assert.equal(result.content, '<周泽走进了山门。> <他看了看四周。>');
+  assert.deepEqual(result.meta.recovery.map(event => event.reason), ['truncated']);
+  assert.deepEqual(result.meta.passages, [{ chars: 8, model: 'fake:short' }, { chars: 7, model: 'fake:short' }]);
+  assert.equal(result.meta.status, STATUS.TRANSLATED);
+});
+
+test('a passage no provider will take keeps its source and flags the chapter', async () => {
+  const result = await chapter('周泽走进了山门。\n\n地上全是血。', 'fake:strict');
+
+  assert.equal(result.content, '<周泽走进了山门。>\n\n地上全是血。');
+  assert.deepEqual(result.meta.recovery.map(event => event.action), ['split', 'failed']);
+  assert.deepEqual(result.meta.issues.map(issue => issue.code), ['untranslated_passage']);
+  assert.deepEqual(result.meta.passages.map(p => p.model), ['fake:strict', null]);
+  assert.equal(result.meta.status, STATUS.FLAGGED);
+  assert.equal(result.ok, false);
+});
+
+test('an unsplittable chapter that is only cut off still falls back whole', async () => {
+  const result = await chapter('周泽走进了青云宗高大的山门。', 'fake:short,fake:lenient');
+
+  assert.equal(result.content, '<周泽走进了青云宗高大的山门。>');
+  assert.deepEqual(result.meta.recovery.map(event => event.action), ['rerouted']);
+  assert.equal(result.meta.passages, undefined);
+  assert.equal(result.model, 'fake:lenient');
+  assert.equal(result.meta.status, STATUS.FALLBACK);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkTranslation, residualRatio, DEFAULT_THRESHOLDS } from '../lib/quality.js';
+import { getLanguage } from '../lib/languages.js';
+
+const options = { sourceLang: getLanguage('zh'), targetLang: getLanguage('en'), thresholds: DEFAULT_THRESHOLDS };
+const source = '周泽看着眼前的一切，半天说不出话来。他深吸了一口气，转身走进了青云宗的大门。';
+const body = 'Zhou Ze stared at everything before him and could not speak for a long while. He took a deep breath, turned and walked through the gate of the Azure Cloud Sect.';
+const codes = output => checkTranslation(source, output, options).map(issue => issue.code);
+
+test('a plain translation passes', () => {
+  assert.deepEqual(codes(body), []);
+});
+
+test('prose that opens like a refusal or preamble passes', () => {
+  for (const opening of ["I can't believe my eyes.", "I'm sorry, Zhou Ze said.", 'Sure, he thought.', 'Of course, the gate was open.', 'Okay, he nodded.', 'Here is the hall he remembered.']) {
+    assert.deepEqual(codes(`${opening} ${body}`), [], opening);
+  }
+});
+
+test('refusals about the task, or with hardly any text, are caught', () => {
+  assert.ok(codes(`I'm sorry, but I can't translate this passage. ${body}`).includes('refusal'));
+  assert.ok(codes('As an AI, I must decline.').includes('refusal'));
+  assert.deepEqual(codes("I'm sorry."), ['refusal', 'too_short']);
+});
+
+test('preambles that mention the translation or end in a colon are caught', () => {
+  assert.ok(codes(`Here is the translation:\n\n${body}`).includes('preamble'));
+  assert.ok(codes(`Sure, here's your English translation of the chapter.\n${body}`).includes('preamble'));
+  assert.ok(codes(`Okay:\n${body}`).includes('preamble'));
+  assert.ok(codes(`${body}\n\nLet me know if you need anything else.`).includes('postamble'));
+});
+
+test('source script left in the output and wrong lengths are caught', () => {
+  assert.ok(codes(source).includes('residual_source'));
+  assert.ok(codes('Zhou Ze left.').includes('too_short'));
+  assert.ok(codes(body.repeat(5)).includes('too_long'));
+  assert.ok(residualRatio('abc 周泽', options.sourceLang) > 0.3);
+});
+
+test('the gate is off without thresholds', () => {
+  assert.deepEqual(checkTranslation(source, '', { ...options, thresholds: null }), []);
+});
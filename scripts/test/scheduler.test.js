@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler, parseRpm, isRateLimitError } from '../lib/scheduler.js';
+
+const rateLimited = seconds => Object.assign(new Error(`429 Resource exhausted: {"retryDelay": "${seconds}s"}`), { status: 429 });
+
+test('requests queued behind a 429 wait out its pause', async () => {
+  const scheduler = new Scheduler({ maxInFlight: 1 });
+  const started = Date.now();
+  const sent = [];
+  let limited = false;
+
+  const call = id => scheduler.run('model', async () => {
+    if (!limited) {
+      limited = true;
+      throw rateLimited(0.3);
+    }
+    sent.push({ id, at: Date.now() - started });
+    return { text: id };
+  });
+
+  const results = await Promise.all(['a', 'b', 'c'].map(call));
+  assert.deepEqual(results.map(r => r.text), ['a', 'b', 'c']);
+  assert.equal(sent.length, 3);
+  for (const { id, at } of sent) assert.ok(at >= 300, `${id} was sent ${at}ms in, during the pause`);
+});
+
+test('a paused model does not hold slots other models need', async () => {
+  const scheduler = new Scheduler({ maxInFlight: 1 });
+  let limited = false;
+  const paused = scheduler.run('paused', async () => {
+    if (!limited) {
+      limited = true;
+      throw rateLimited(0.5);
+    }
+    return { text: 'late' };
+  });
+  await new Promise(r => setTimeout(r, 50));
+
+  const started = Date.now();
+  const other = await scheduler.run('other', async () => ({ text: 'now' }));
+  assert.equal(other.text, 'now');
+  assert.ok(Date.now() - started < 200, 'the other model waited for the pause');
+  assert.equal((await paused).text, 'late');
+});
+
+test('a full rate window holds requests back without taking slots', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const scheduler = new Scheduler({ maxInFlight: 1, rpm: { slow: 1 } });
+  await scheduler.run('slow', async () => ({ text: 'first' }));
+  let second = false;
+  const waiting = scheduler.run('slow', async () => {
+    second = true;
+    return { text: 'second' };
+  });
+
+  assert.equal((await scheduler.run('fast', async () => ({ text: 'fast' }))).text, 'fast');
+  assert.equal(second, false);
+  t.mock.timers.tick(60_000);
+  assert.equal((await waiting).text, 'second');
+});
+
+test('a 429 is retried until maxRetries, then returned', async () => {
+  const scheduler = new Scheduler({ maxRetries: 1 });
+  let calls = 0;
+  await assert.rejects(
+    scheduler.run('model', async () => {
+      calls++;
+      throw rateLimited(0.01);
+    }),
+    err => err.status === 429
+  );
+  assert.equal(calls, 2);
+});
+
+test('other errors are not retried', async () => {
+  const scheduler = new Scheduler();
+  let calls = 0;
+  await assert.rejects(scheduler.run('model', async () => {
+    calls++;
+    throw new Error('bad request');
+  }), /bad request/);
+  assert.equal(calls, 1);
+});
+
+test('usage is recorded for replies and for billed errors', async () => {
+  const scheduler = new Scheduler();
+  await scheduler.run('model', async () => ({ text: 'x', usage: { input: 10, output: 5 } }));
+  await assert.rejects(scheduler.run('model', async () => {
+    throw Object.assign(new Error('blocked'), { reason: 'blocked', usage: { input: 7, output: 0 } });
+  }));
+  assert.deepEqual(scheduler.usage.model, { requests: 2, input: 17, output: 5 });
+  assert.equal(scheduler.tokens, 22);
+});
+
+test('an exhausted budget fails requests still waiting for a slot', async () => {
+  const budget = {
+    check(usage) {
+      const tokens = Object.values(usage).reduce((sum, s) => sum + s.input + s.output, 0);
+      if (tokens >= 10) throw Object.assign(new Error('budget used up'), { reason: 'budget' });
+    },
+  };
+  const scheduler = new Scheduler({ maxInFlight: 1, budget });
+  const call = () => scheduler.run('model', async () => ({ text: 'x', usage: { input: 10, output: 0 } }));
+  const [first, second] = await Promise.allSettled([call(), call()]);
+  assert.equal(first.status, 'fulfilled');
+  assert.equal(second.reason.reason, 'budget');
+});
+
+test('parseRpm sets every model or single models', () => {
+  assert.deepEqual(parseRpm('10', { a: 15, b: 30 }), { rpm: { a: 10, b: 10 }, defaultRpm: 10 });
+  assert.deepEqual(parseRpm('b=5', { a: 15 }), { rpm: { a: 15, b: 5 }, defaultRpm: undefined });
+  assert.throws(() => parseRpm('0'), /Invalid --rpm value/);
+});
+
+test('isRateLimitError recognises status and message', () => {
+  assert.ok(isRateLimitError({ status: 429 }));
+  assert.ok(isRateLimitError(new Error('RESOURCE_EXHAUSTED')));
+  assert.ok(!isRateLimitError(new Error('internal error')));
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { loadSource, sourceName, splitChapters, parseRange } from '../lib/source.js';
+import { createZip, readZip } from '../lib/zip.js';
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'source-'));
+}
+
+const novel = '书名：青云志\n作者：某某\n\n第一章 山门\n\n周泽走进了山门。\n\n第二章 归来\r\n他回来了。\r\n';
+
+test('sourceName strips the directory and extension', () => {
+  assert.equal(sourceName('https://example.com/novels/16555.json?x=1'), '16555');
+  assert.equal(sourceName('novels/foo.epub'), 'foo');
+  assert.equal(sourceName('chapters/'), 'chapters');
+});
+
+test('a TXT novel is split at chapter headings, dropping the title page', () => {
+  assert.deepEqual(splitChapters(novel.replace(/\r/g, '')), [
+    { title: '第一章 山门', content: '周泽走进了山门。' },
+    { title: '第二章 归来', content: '他回来了。' },
+  ]);
+  assert.deepEqual(splitChapters('Chapter 1\nx\n卷一\ny', ['^卷[一二]$']), [{ title: '卷一', content: 'y' }]);
+  assert.throws(() => splitChapters('no headings here'), /No chapter headings/);
+});
+
+test('GB18030 TXT files decode like UTF-8 ones', async () => {
+  const dir = await tempDir();
+  // "第一章 山门\n周泽。" saved as GB18030
+  const gb = Buffer.from('b5dad2bbd5c220c9bdc3c50ad6dcd4f3a1a3', 'hex');
+  await fs.writeFile(path.join(dir, 'gb.txt'), gb);
+  await fs.writeFile(path.join(dir, 'utf8.txt'), `\uFEFF${novel}`);
+  assert.deepEqual(await loadSource(path.join(dir, 'gb.txt')), [{ index: 1, title: '第一章 山门', content: '周泽。' }]);
+  assert.equal((await loadSource(path.join(dir, 'utf8.txt')))[0].title, '第一章 山门');
+});
+
+test('a directory of TXT chapters loads in natural order', async () => {
+  const dir = await tempDir();
+  await fs.writeFile(path.join(dir, '10.txt'), '第十章 终\n\n完。');
+  await fs.writeFile(path.join(dir, '2.txt'), '他笑了。');
+  await fs.writeFile(path.join(dir, 'notes.md'), 'ignored');
+  assert.deepEqual(await loadSource(dir), [
+    { index: 1, title: '2', content: '他笑了。' },
+    { index: 2, title: '第十章 终', content: '完。' },
+  ]);
+});
+
+test('JSONL sources skip blank lines and name the line that is broken', async () => {
+  const dir = await tempDir();
+  const file = path.join(dir, 'novel.jsonl');
+  await fs.writeFile(file, '{"title": "一", "content": "a"}\n\n{"content": "b"}\n');
+  assert.deepEqual(await loadSource(file), [
+    { index: 1, title: '一', content: 'a' },
+    { index: 2, title: 'Chapter 2', content: 'b' },
+  ]);
+  await fs.writeFile(file, '{"content": "a"}\n{"content": \n');
+  await assert.rejects(loadSource(file), /Invalid JSONL on line 2/);
+});
+
+test('readZip reads back stored and deflated entries', () => {
+  const files = readZip(createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'a/b.txt', data: '周泽'.repeat(100) },
+  ]));
+  assert.deepEqual([...files.keys()], ['mimetype', 'a/b.txt']);
+  assert.equal(files.get('a/b.txt').toString('utf8'), '周泽'.repeat(100));
+  assert.throws(() => readZip(Buffer.from('not a zip at all, just text')), /Not a ZIP archive/);
+});
+
+function epub(spine) {
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: '<container><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>' },
+    {
+      name: 'OEBPS/content.opf',
+      data: `<package><manifest>
+        <item id="nav" href="nav.xhtml" properties="nav"/>
+        <item id="cover" href="cover.xhtml"/>
+        <item id="c1" href="text/ch%201.xhtml"/>
+        <item id="c2" href="text/ch2.xhtml"/>
+      </manifest><spine>${spine.map(id => `<itemref idref="${id}"/>`).join('')}</spine></package>`,
+    },
+    { name: 'OEBPS/nav.xhtml', data: '<html><body><ol><li>第一章</li></ol></body></html>' },
+    { name: 'OEBPS/cover.xhtml', data: '<html><body><img src="cover.jpg"/></body></html>' },
+    { name: 'OEBPS/text/ch 1.xhtml', data: '<html><head><title>x</title></head><body><h2>第一章 <span>山门</span></h2><p>周泽&amp;小三<br/>走了。</p><p>&#x4ED6;笑了。</p></body></html>' },
+    { name: 'OEBPS/text/ch2.xhtml', data: '<html><head><title>第二章</title><style>p{}</style></head><body><div>他回来了。</div></body></html>' },
+  ]);
+}
+
+test('EPUB chapters follow the spine, skipping the nav page and covers', async () => {
+  const dir = await tempDir();
+  const file = path.join(dir, 'novel.epub');
+  await fs.writeFile(file, epub(['nav', 'cover', 'c2', 'c1']));
+  assert.deepEqual(await loadSource(file), [
+    { index: 1, title: '第二章', content: '他回来了。' },
+    { index: 2, title: '第一章 山门', content: '周泽&小三\n\n走了。\n\n他笑了。' },
+  ]);
+});
+
+test('remote sources are fetched as bytes and parsed by extension', async t => {
+  const requests = [];
+  t.mock.method(axios, 'get', async (url, options) => {
+    requests.push(options?.responseType);
+    if (url.endsWith('.epub')) return { data: epub(['c1']) };
+    return { data: Buffer.from(url.endsWith('.jsonl') ? '{"content": "a"}\n' : '[{"title": "一", "content": "a"}]') };
+  });
+  assert.equal((await loadSource('https://example.com/n/16555.json'))[0].title, '一');
+  assert.equal((await loadSource('https://example.com/n/novel.jsonl')).length, 1);
+  assert.equal((await loadSource('https://example.com/n/novel.epub'))[0].title, '第一章 山门');
+  assert.deepEqual(requests, ['arraybuffer', 'arraybuffer', 'arraybuffer']);
+});
+
+test('sources that are not a chapter array are rejected', async () => {
+  const dir = await tempDir();
+  const file = path.join(dir, 'novel.json');
+  await fs.writeFile(file, '{"chapters": []}');
+  await assert.rejects(loadSource(file), /Expected an array/);
+  await fs.writeFile(file, '[{"title": "一"}]');
+  await assert.rejects(loadSource(file), /Chapter 1 has no content/);
+});
+
+test('ranges are clamped to the source', () => {
+  assert.deepEqual(parseRange('3-900', 10), { start: 3, end: 10 });
+  assert.deepEqual(parseRange('5', 10), { start: 5, end: 5 });
+  assert.deepEqual(parseRange('8-2', 10), { start: 2, end: 8 });
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChapterNumber, splitChapterTitle, formatChapterTitle, parseTitleReply } from '../lib/titles.js';
+import { getLanguage } from '../lib/languages.js';
+
+const languages = { sourceLang: getLanguage('zh'), targetLang: getLanguage('en') };
+
+test('chapter numbers in digits and Chinese numerals', () => {
+  assert.equal(parseChapterNumber('12'), 12);
+  assert.equal(parseChapterNumber('１２'), 12);
+  assert.equal(parseChapterNumber('十二'), 12);
+  assert.equal(parseChapterNumber('一百零五'), 105);
+  assert.equal(parseChapterNumber('两千'), 2000);
+  assert.equal(parseChapterNumber('第'), null);
+});
+
+test('prefixes are split off in the forms sources and models write them', () => {
+  assert.deepEqual(splitChapterTitle('第一百二十回：归来'), { number: 120, text: '归来' });
+  assert.deepEqual(splitChapterTitle('Chapter 12 - Return'), { number: 12, text: 'Return' });
+  assert.deepEqual(splitChapterTitle('Introduction'), { number: null, text: 'Introduction' });
+});
+
+test('the source number replaces whatever prefix the model wrote', () => {
+  assert.equal(formatChapterTitle(12, 'Ch. 13: Return'), 'Chapter 12: Return');
+  assert.equal(formatChapterTitle(4, 'Return', 'es'), 'Capítulo 4: Return');
+  assert.equal(formatChapterTitle(7, ''), 'Chapter 7');
+  assert.equal(formatChapterTitle(null, ' 2 Swords '), '2 Swords');
+});
+
+test('title replies are matched by id, dropping unusable entries', () => {
+  const reply = '```json\n[{"id": 1, "title": "Return"}, {"id": 2, "title": "归来"}, {"id": 3, "title": ""}, {"id": 9, "title": "Stray"}]\n```';
+  assert.deepEqual([...parseTitleReply(reply, [1, 2, 3], languages)], [[1, 'Return']]);
+  assert.throws(() => parseTitleReply('{"x": 1}', [1], languages), /expected a JSON array/);
+});
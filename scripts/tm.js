@@ -0,0 +1,74 @@
+import path from 'path';
+import { parseArgs } from 'util';
+import { memoryPath, currentEntries, invalidateEntries } from './lib/memory.js';
+import { readJsonl, writeJsonl } from './lib/json.js';
+import { DEFAULT_SOURCE_LANG, DEFAULT_TARGET_LANG, getLanguage } from './lib/languages.js';
+
+const COMMANDS = ['stats', 'invalidate', 'prune'];
+
+function countBy(entries, field) {
+  const counts = {};
+  for (const entry of entries) counts[entry[field]] = (counts[entry[field]] ?? 0) + 1;
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+function stats(entries) {
+  const live = currentEntries(entries);
+  console.log(`${live.length} entries (${entries.length - live.length} superseded lines)`);
+  for (const field of ['kind', 'model', 'prompt']) {
+    console.log(`By ${field}:`);
+    for (const [value, count] of countBy(live, field)) {
+      const dates = live.filter(e => e[field] === value).map(e => e.date).sort();
+      console.log(`  ${value}: ${count} (${dates[0].slice(0, 10)} – ${dates.at(-1).slice(0, 10)})`);
+    }
+  }
+}
+
+async function main(command, options) {
+  if (!COMMANDS.includes(command)) throw new Error(`Unknown command "${command}" (expected ${COMMANDS.join(', ')})`);
+  const file = options.file ?? memoryPath(getLanguage(options['source-lang']).code, getLanguage(options['target-lang']).code);
+  const entries = await readJsonl(file);
+  console.log(`${path.relative(process.cwd(), file)}: ${entries.length} lines`);
+
+  if (command === 'stats') {
+    if (entries.length) stats(entries);
+    return;
+  }
+
+  // Prune drops only lines a newer one for the same segment has replaced;
+  // the memory is shared by every novel and profile, so an older prompt hash
+  // is not a sign an entry is dead. Use invalidate --prompt for that.
+  const kept = command === 'prune' ? currentEntries(entries) : invalidateEntries(entries, options);
+  console.log(`${command === 'prune' ? 'Pruning' : 'Invalidating'} ${entries.length - kept.length} lines, keeping ${kept.length}`);
+  if (options['dry-run'] || kept.length === entries.length) return;
+  await writeJsonl(file, kept);
+}
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    file: { type: 'string' },
+    'source-lang': { type: 'string', default: DEFAULT_SOURCE_LANG },
+    'target-lang': { type: 'string', default: DEFAULT_TARGET_LANG },
+    kind: { type: 'string' },
+    model: { type: 'string' },
+    prompt: { type: 'string' },
+    before: { type: 'string' },
+    containing: { type: 'string' },
+    all: { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+  },
+});
+
+const [command] = positionals;
+if (!command) {
+  console.error('Usage: node tm.js <stats|invalidate|prune> [--file <memory.jsonl>] [--source-lang <code>] [--target-lang <code>] [--kind <chapter|paragraph|title>] [--model <model>] [--prompt <hash>] [--before <date>] [--containing <text>] [--all] [--dry-run]');
+  process.exit(1);
+}
+
+try {
+  await main(command, options);
+} catch (error) {
+  console.error('Error:', error);
+  process.exit(1);
+}
@@ -0,0 +1,155 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { configure, translateChapter } from './ai_query.js';
+import { loadSource, sourceName, parseRange } from './lib/source.js';
+import { listResultFiles } from './lib/results.js';
+import { loadGlossary, glossaryPath } from './lib/glossary.js';
+import { STATUS } from './lib/report.js';
+import { WriteQueue } from './lib/json.js';
+import { languagePrefix, DEFAULT_SOURCE_LANG, DEFAULT_TARGET_LANG } from './lib/languages.js';
+
+const FALLBACK_MODEL = 'google translate';
+
+// Rewrites a result file after every upgraded chapter, one write at a time,
+// so an interrupted run keeps what it already upgraded. Each run backs the
+// file up under its own timestamp, so a later run never overwrites the copy
+// an earlier one took of the original.
+class ResultFile extends WriteQueue {
+  constructor(file, stamp) {
+    super();
+    this.file = file;
+    this.backup = `${file.path}.${stamp}.bak`;
+    this.backedUp = false;
+  }
+
+  replace(position, chapter) {
+    this.file.chapters[position] = chapter;
+    return this.push(async () => {
+      if (!this.backedUp) {
+        await fs.copyFile(this.file.path, this.backup, fs.constants.COPYFILE_EXCL);
+        this.backedUp = true;
+      }
+      await fs.writeFile(this.file.path, JSON.stringify(this.file.chapters, null, 2));
+    });
+  }
+}
+
+// Re-translates chapters whose model is the Google fallback (or one of
+// --models) with the primary chapter provider only, and swaps them into the
+// result files in place. Stops starting new chapters once the provider is
+// out of quota; whatever was not reached is reported as pending.
+async function main(jsonUrl, options) {
+  const { models: modelList, range: rangeStr, limit: limitStr, glossary: glossaryFile, 'dry-run': dryRun, 'chapter-pattern': chapterPatterns } = options;
+  const { chains, sourceLang, targetLang, profile } = await configure({ ...options, novel: sourceName(jsonUrl), primaryOnly: true });
+  const primary = chains.chapters[0];
+  if (!primary.instructions) throw new Error(`${primary.id} is plain machine translation; nothing to upgrade to`);
+  const models = new Set(modelList.split(',').map(m => m.trim()).filter(Boolean));
+  models.delete(primary.id);
+  const limit = limitStr === undefined ? Infinity : parseInt(limitStr);
+  if (!(limit > 0)) throw new Error(`Invalid --limit value: ${limitStr}`);
+
+  const jsonData = await loadSource(jsonUrl, { chapterPatterns });
+  const { start, end } = rangeStr ? parseRange(rangeStr, jsonData.length) : { start: 1, end: jsonData.length };
+
+  const name = sourceName(jsonUrl);
+  const prefix = languagePrefix(name, sourceLang, targetLang);
+  const glossary = await loadGlossary(glossaryFile ?? glossaryPath(name, targetLang.code));
+  if (glossaryFile && !glossary) throw new Error(`Glossary not found: ${glossaryFile}`);
+
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const queue = [];
+  for (const info of await listResultFiles(prefix)) {
+    const chapters = JSON.parse(await fs.readFile(info.path, 'utf8'));
+    if (!Array.isArray(chapters)) continue;
+    const file = new ResultFile({ ...info, chapters }, stamp);
+    chapters.forEach((chapter, position) => {
+      const index = info.start + position;
+      const item = jsonData[index - 1];
+      if (!item || index < start || index > end || !models.has(chapter?.model)) return;
+      queue.push({ file, position, chapter, item: { index, title: chapter.title, originalTitle: item.title, content: item.content } });
+    });
+  }
+
+  const byModel = {};
+  for (const { chapter } of queue) byModel[chapter.model] = (byModel[chapter.model] ?? 0) + 1;
+  console.log(`${queue.length} chapters to upgrade to ${primary.id} (${profile.id}): ${Object.entries(byModel).map(([m, n]) => `${m} ${n}`).join(', ') || 'none'}`);
+  if (dryRun || !queue.length) return;
+
+  const total = queue.length;
+  const work = queue.slice(0, limit);
+  let upgraded = 0;
+  let failed = 0;
+  let stopped = false;
+
+  // A few workers pull from the queue so none start once quota or budget runs out
+  const worker = async () => {
+    while (work.length && !stopped) {
+      const { file, position, chapter, item } = work.shift();
+      let result;
+      try {
+        result = await translateChapter(item, glossary);
+      } catch (err) {
+        if (err.reason !== 'budget') throw err;
+        if (!stopped) console.warn(`${err.message}, stopping`);
+        stopped = true;
+        continue;
+      }
+      if (result.meta.status !== STATUS.TRANSLATED) {
+        if (result.meta.attempts.some(a => a.reason === 'rate_limit')) {
+          if (!stopped) console.warn(`${primary.id} is out of quota, stopping`);
+          stopped = true;
+        } else {
+          failed++;
+          console.warn(`Chapter ${item.index} not upgraded (${result.meta.status}), keeping ${chapter.model}`);
+        }
+        continue;
+      }
+      const { index, ok, context, ...rest } = result;
+      await file.replace(position, { ...rest, meta: { ...rest.meta, upgradedFrom: chapter.model } });
+      console.log(`[${++upgraded}/${total}] Upgraded: ${item.title} (${chapter.model} → ${result.model})`);
+    }
+  };
+  await Promise.all(Array.from({ length: parseInt(options.concurrency ?? '4') }, worker));
+
+  console.log(`\nUpgraded ${upgraded} chapters, ${total - upgraded} still pending${failed ? ` (${failed} failed)` : ''}`);
+  if (upgraded) console.log(`The replaced files were backed up next to them as .${stamp}.bak`);
+}
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    models: { type: 'string', default: FALLBACK_MODEL },
+    range: { type: 'string' },
+    limit: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    concurrency: { type: 'string', default: '4' },
+    rpm: { type: 'string' },
+    glossary: { type: 'string' },
+    providers: { type: 'string' },
+    'chapter-chain': { type: 'string' },
+    'source-lang': { type: 'string', default: DEFAULT_SOURCE_LANG },
+    'target-lang': { type: 'string', default: DEFAULT_TARGET_LANG },
+    quality: { type: 'string' },
+    aligned: { type: 'boolean', default: false },
+    'chapter-pattern': { type: 'string', multiple: true },
+    prices: { type: 'string' },
+    'max-tokens': { type: 'string' },
+    'max-cost': { type: 'string' },
+    memory: { type: 'string' },
+    profile: { type: 'string' },
+  },
+});
+
+const [jsonUrl] = positionals;
+if (!jsonUrl) {
+  console.error('Usage: node upgrade.js <json_url> [--models <model,...>] [--range <a-b>] [--limit <n>] [--dry-run] [--chapter-chain <specs>] [--providers <config.json>] [--concurrency <n>] [--rpm <n|model=n,...>] [--glossary <file>] [--quality <thresholds.json|off>] [--aligned] [--max-tokens <n>] [--max-cost <usd>] [--memory <file.jsonl|off>] [--profile <name|file.json>] [--chapter-pattern <regex>]...');
+  process.exit(1);
+}
+
+try {
+  await main(jsonUrl, options);
+} catch (error) {
+  console.error('Error:', error);
+  process.exit(1);
+}